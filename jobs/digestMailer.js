@@ -0,0 +1,111 @@
+// jobs/digestMailer.js
+// Sends due email digests. Users are claimed by pushing digest.nextAt
+// forward, so several instances never mail the same person twice.
+const User = require("../models/User");
+const DigestLog = require("../models/DigestLog");
+const transporter = require("../utils/mailer");
+const {
+  DIGEST_PERIOD_DAYS,
+  newUnsubscribeToken,
+  computeNextDigestAt,
+  buildDigest,
+  renderDigestEmail,
+} = require("../utils/digest");
+
+const DIGEST_INTERVAL_MS = 5 * 60 * 1000;
+const CLAIM_LOCK_MS = 10 * 60 * 1000;
+const DIGEST_BATCH = 50;
+const DIGEST_RETRY_MS = 60 * 60 * 1000;
+
+function unsubscribeUrl(token) {
+  const base = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 4000}`;
+  return `${base}/api/digest/unsubscribe/${token}`;
+}
+
+async function digestStart(user, now) {
+  const periodMs = DIGEST_PERIOD_DAYS[user.digest.frequency] * 24 * 60 * 60 * 1000;
+  const last = await DigestLog.findOne({ user: user._id }).sort({ periodEnd: -1 }).select("periodStart periodEnd failed");
+  // a failed window is retried from its own start, however long ago that was
+  if (last?.failed) return last.periodStart;
+  // otherwise pick up where the last digest stopped, but never reach back more than one period
+  return new Date(Math.max(last?.periodEnd?.getTime() || 0, now.getTime() - periodMs));
+}
+
+async function sendDigest(user, start, now) {
+  const digest = await buildDigest(user, start, now);
+  const log = {
+    user: user._id,
+    periodStart: start,
+    periodEnd: now,
+    skipped: digest.empty,
+    unreadRooms: digest.unreadRooms.map((r) => ({ room: r.room, count: r.count })),
+    mentionIds: digest.mentions.map((m) => m._id),
+    resourceIds: digest.resources.map((r) => r._id),
+  };
+  if (digest.empty) return DigestLog.create(log);
+
+  if (!user.digest.unsubscribeToken) {
+    user.digest.unsubscribeToken = newUnsubscribeToken();
+    await User.updateOne({ _id: user._id }, { $set: { "digest.unsubscribeToken": user.digest.unsubscribeToken } });
+  }
+  const url = unsubscribeUrl(user.digest.unsubscribeToken);
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: `Your ${user.digest.frequency} Campus Buddy digest`,
+    html: renderDigestEmail(user, digest, url),
+    headers: {
+      "List-Unsubscribe": `<${url}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+  return DigestLog.create(log);
+}
+
+async function sendDueDigests() {
+  for (let i = 0; i < DIGEST_BATCH; i++) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { "digest.frequency": { $in: Object.keys(DIGEST_PERIOD_DAYS) }, "digest.nextAt": { $lte: now } },
+      { $set: { "digest.nextAt": new Date(now.getTime() + CLAIM_LOCK_MS) } },
+      { new: true, sort: { "digest.nextAt": 1 } }
+    ).select("name email stream semester digest blockedUsers mutedRooms");
+    if (!user) return;
+
+    let nextAt = computeNextDigestAt(user.digest, now);
+    let start = null;
+    try {
+      start = await digestStart(user, now);
+      await sendDigest(user, start, now);
+    } catch (err) {
+      console.error(`Digest error for ${user.email}:`, err.message);
+      // logged as failed so the retry (within the hour, or the regular slot if sooner) covers this window too
+      if (start) {
+        await DigestLog.create({ user: user._id, periodStart: start, periodEnd: now, failed: true }).catch((logErr) =>
+          console.error("Digest log error:", logErr.message)
+        );
+      }
+      nextAt = new Date(Math.min(nextAt.getTime(), now.getTime() + DIGEST_RETRY_MS));
+    }
+    await User.updateOne({ _id: user._id }, { $set: { "digest.nextAt": nextAt } });
+  }
+}
+
+function startDigestMailer() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueDigests();
+    } catch (err) {
+      console.error("Digest mailer error:", err);
+    } finally {
+      running = false;
+    }
+  }, DIGEST_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { sendDueDigests, startDigestMailer };
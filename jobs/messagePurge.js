@@ -0,0 +1,54 @@
+// jobs/messagePurge.js
+// Deleted messages stay restorable for a grace period; after that their
+// files are removed from Cloudinary and the stored content is wiped.
+const Message = require("../models/Message");
+const { destroyAttachments } = require("../utils/attachments");
+
+const PURGE_GRACE_MS = Number(process.env.MESSAGE_PURGE_GRACE_MS) || 10 * 60 * 1000; // 10 minutes
+const PURGE_INTERVAL_MS = 60 * 1000;
+const PURGE_BATCH = 100;
+
+async function purgeDeletedMessages() {
+  const cutoff = new Date(Date.now() - PURGE_GRACE_MS);
+  const due = await Message.find({ deletedAt: { $lte: cutoff }, purgedAt: null })
+    .select("attachments")
+    .limit(PURGE_BATCH);
+
+  for (const msg of due) {
+    await destroyAttachments(msg.attachments);
+    await Message.updateOne(
+      { _id: msg._id, deletedAt: { $lte: cutoff } }, // skip if it was restored meanwhile
+      {
+        $set: {
+          attachments: [],
+          editHistory: [],
+          reactions: [],
+          favorites: [],
+          linkPreviews: [],
+          purgedAt: new Date(),
+        },
+        $unset: { content: "", poll: "" },
+      }
+    );
+  }
+  return due.length;
+}
+
+function startMessagePurge() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeDeletedMessages();
+    } catch (err) {
+      console.error("Message purge error:", err);
+    } finally {
+      running = false;
+    }
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { PURGE_GRACE_MS, purgeDeletedMessages, startMessagePurge };
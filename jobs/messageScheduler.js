@@ -0,0 +1,132 @@
+// jobs/messageScheduler.js
+// Posts due ScheduledMessages through the same path as send-message. State
+// lives in MongoDB, so nothing is lost on restart; a short claim lock keeps
+// two instances from firing the same message, and every occurrence posts
+// with its own idempotency key so a retry never posts it twice.
+const ScheduledMessage = require("../models/ScheduledMessage");
+const User = require("../models/User");
+const { postMessage } = require("../utils/messaging");
+const { emitToUsers } = require("../utils/realtime");
+const { wallTime, fromWallTime, addDays, addMonths } = require("../utils/timezone");
+
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const CLAIM_LOCK_MS = 60 * 1000;
+const SCHEDULER_BATCH = 50;
+
+// a little longer than any real step (DST days, 31-day months), so the first guess never overshoots
+const MAX_STEP_MS = { day: 25 * 60 * 60 * 1000, week: (7 * 24 + 1) * 60 * 60 * 1000, month: 31 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Next fire time of a repeating message after both its current sendAt and
+ * `now`, or null when the series is over. Missed occurrences (server was
+ * down) are skipped, not replayed. Occurrence n is counted from anchorAt in
+ * the sender's time zone, so "Monday 08:00" stays 08:00 local across DST and
+ * "the 31st" falls on the last day of shorter months without drifting.
+ */
+function nextOccurrence({ anchorAt, sendAt, repeat, timezone = "UTC" }, now = new Date()) {
+  if (!repeat || !repeat.every) return null;
+  const step = repeat.interval || 1;
+  const anchor = new Date(anchorAt || sendAt);
+  const after = Math.max(new Date(sendAt).getTime(), now.getTime());
+  const start = wallTime(anchor, timezone);
+
+  let n = Math.max(1, Math.floor((after - anchor.getTime()) / (MAX_STEP_MS[repeat.every] * step)));
+  let next;
+  do {
+    const w =
+      repeat.every === "month" ? addMonths(start, n * step) : addDays(start, n * step * (repeat.every === "week" ? 7 : 1));
+    next = fromWallTime(w, timezone);
+    n++;
+  } while (next.getTime() <= after);
+  if (repeat.until && next > repeat.until) return null;
+  return next;
+}
+
+// one key per occurrence: a retry of the same sendAt finds the message it already posted
+const occurrenceKey = (job) => `scheduled:${job._id}:${new Date(job.sendAt).getTime()}`;
+
+// the socket and REST paths turn these senders away; a job they set up earlier must too
+async function senderProblem(senderId) {
+  const sender = await User.findById(senderId).select("suspendedAt suspendedUntil emailVerified");
+  if (!sender) return "Sender no longer exists";
+  if (sender.isSuspended()) return "Sender is suspended";
+  if (sender.emailVerified === false) return "Sender's email address is not verified";
+  return null;
+}
+
+async function fireOne(ctx, job) {
+  let result;
+  try {
+    const problem = await senderProblem(job.sender);
+    result = problem
+      ? { error: problem, skipped: true }
+      : await postMessage(ctx, job.sender, {
+          chatId: job.chat,
+          content: job.content,
+          kind: job.kind,
+          attachments: job.attachments.map((a) => a.toObject()),
+          idempotencyKey: occurrenceKey(job),
+        });
+  } catch (err) {
+    // transient (db hiccup): keep the claim so it is retried once the lock expires; if the
+    // message was already saved, the retry sees its key and only moves the job on
+    console.error("Scheduled message error:", err);
+    await ScheduledMessage.updateOne({ _id: job._id }, { $set: { lastError: err.message } });
+    return;
+  }
+
+  const update = { $unset: { lockedUntil: "" } };
+  if (result.skipped) {
+    // nothing posted; a repeating job tries again at its next occurrence (a suspension can end)
+    const next = nextOccurrence(job);
+    update.$set = next ? { sendAt: next, lastError: result.error } : { status: "failed", lastError: result.error };
+  } else if (result.error) {
+    // permanent (left the room, lost admin rights, ...)
+    update.$set = { status: "failed", lastError: result.error };
+  } else {
+    const next = nextOccurrence(job);
+    update.$set = { status: next ? "scheduled" : "sent", lastSentAt: new Date(), lastError: null };
+    if (next) update.$set.sendAt = next;
+    if (!result.duplicate) update.$inc = { sentCount: 1 };
+  }
+  // matched on sendAt too, so a late retry can't move the job twice
+  const fresh = await ScheduledMessage.findOneAndUpdate({ _id: job._id, sendAt: job.sendAt }, update, { new: true });
+  if (fresh) emitToUsers(ctx.nsp, [job.sender], "scheduled-message-updated", fresh);
+}
+
+async function fireDueMessages(ctx) {
+  for (let i = 0; i < SCHEDULER_BATCH; i++) {
+    const now = new Date();
+    const job = await ScheduledMessage.findOneAndUpdate(
+      {
+        status: "scheduled",
+        sendAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + CLAIM_LOCK_MS) } },
+      { new: true, sort: { sendAt: 1 } }
+    );
+    if (!job) return;
+    await fireOne(ctx, job);
+  }
+}
+
+// ctx: { nsp, presence } as for utils/messaging.postMessage
+function startMessageScheduler(ctx) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fireDueMessages(ctx);
+    } catch (err) {
+      console.error("Message scheduler error:", err);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { nextOccurrence, occurrenceKey, fireDueMessages, startMessageScheduler };
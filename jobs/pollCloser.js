@@ -0,0 +1,40 @@
+// jobs/pollCloser.js
+// Closes polls whose closesAt has passed and broadcasts the final tallies.
+// Voting already stops at closesAt; this only stamps closedAt and tells the room.
+const Message = require("../models/Message");
+const { closePoll } = require("../utils/polls");
+
+const POLL_CLOSE_INTERVAL_MS = 30 * 1000;
+const POLL_CLOSE_BATCH = 100;
+
+async function closeDuePolls(nsp) {
+  const due = await Message.find({
+    kind: "poll",
+    "poll.closesAt": { $lte: new Date() },
+    "poll.closedAt": null,
+    deletedAt: null,
+  })
+    .select("_id")
+    .limit(POLL_CLOSE_BATCH);
+  for (const msg of due) await closePoll(nsp, msg._id);
+  return due.length;
+}
+
+function startPollCloser(nsp) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await closeDuePolls(nsp);
+    } catch (err) {
+      console.error("Poll closer error:", err);
+    } finally {
+      running = false;
+    }
+  }, POLL_CLOSE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { closeDuePolls, startPollCloser };
@@ -0,0 +1,33 @@
+// jobs/presenceSweep.js
+// Announces users offline whose sockets lived on an instance that died
+// without running its disconnect handlers (see sweepStale in utils/presence).
+const { emitExceptBlockers } = require("../utils/blocks");
+
+const PRESENCE_SWEEP_INTERVAL_MS = 30 * 1000;
+
+async function sweepStalePresence(nsp, presence) {
+  const wentOffline = await presence.sweepStale();
+  for (const userId of wentOffline) {
+    await emitExceptBlockers(nsp, userId, "presence", { userId, online: false });
+  }
+  return wentOffline.length;
+}
+
+function startPresenceSweep(nsp, presence) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepStalePresence(nsp, presence);
+    } catch (err) {
+      console.error("Presence sweep error:", err);
+    } finally {
+      running = false;
+    }
+  }, PRESENCE_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { sweepStalePresence, startPresenceSweep };
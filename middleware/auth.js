@@ -1,9 +1,9 @@
 // auth.js
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
-const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
+const { authenticate } = require("../utils/sessions");
 
 // --- Auth Middleware ---
+// Bearer access token from /api/login or /api/token/refresh.
+// Sets req.user and req.authSession (the Session the token belongs to).
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) return res.status(401).json({ error: "No token provided" });
@@ -12,13 +12,14 @@ async function authMiddleware(req, res, next) {
   if (parts.length !== 2 || parts[0] !== "Bearer")
     return res.status(401).json({ error: "Invalid token format" });
 
-  const token = parts[1];
-
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(payload.id);
-    if (!user) return res.status(401).json({ error: "User not found" });
+    const { user, session, error } = await authenticate(parts[1]);
+    if (error) return res.status(401).json({ error });
+    if (user.isSuspended()) {
+      return res.status(403).json({ error: "Account suspended", suspendedUntil: user.suspendedUntil || null });
+    }
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
     console.error("❌ Auth Middleware Error:", err);
@@ -26,33 +27,12 @@ async function authMiddleware(req, res, next) {
   }
 }
 
-// --- Login Route Example ---
-const express = require("express");
-const router = express.Router();
-
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
-
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: "7d" });
-
-    res.json({
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-      },
-    });
-  } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ message: "Server error" });
+// after authMiddleware: blocks actions that need a confirmed email address
+function requireVerified(req, res, next) {
+  if (req.user?.emailVerified === false) {
+    return res.status(403).json({ error: "Please verify your email address first", code: "email_unverified" });
   }
-});
+  next();
+}
 
-module.exports = { authMiddleware, authRouter: router };
+module.exports = { authMiddleware, requireVerified };
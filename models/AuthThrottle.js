@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Failed sign-in (or reset request) counter for one email or one IP, see
+// utils/authThrottle. Documents expire a day after the last activity, which
+// also forgets how many times the key was locked before.
+const authThrottleSchema = new Schema({
+  key: { type: String, required: true, unique: true }, // "<scope>:<account|ip>:<email or address>"
+  failures: { type: Number, default: 0 }, // within the current window
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  lockCount: { type: Number, default: 0 }, // each lock lasts twice as long as the one before
+  expiresAt: { type: Date, required: true },
+});
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthThrottle", authThrottleSchema);
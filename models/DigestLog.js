@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One digest window per user. The next window starts where the last one
+// ended, so nothing is reported twice. Empty windows are logged as skipped;
+// a window whose email failed is logged as failed and the retry starts from
+// its periodStart instead.
+const digestLogSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  skipped: { type: Boolean, default: false },
+  failed: { type: Boolean, default: false },
+  unreadRooms: [{ _id: false, room: { type: Schema.Types.ObjectId, ref: "Room" }, count: Number }],
+  mentionIds: [{ type: Schema.Types.ObjectId, ref: "Message" }],
+  resourceIds: [{ type: Schema.Types.ObjectId, ref: "Resource" }],
+}, { timestamps: true });
+
+digestLogSchema.index({ user: 1, periodEnd: -1 });
+
+module.exports = mongoose.model("DigestLog", digestLogSchema);
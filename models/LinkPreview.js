@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// URL -> metadata cache shared by every instance (utils/linkPreview).
+// Failed fetches are cached too so a dead link isn't retried on every message.
+const LINK_PREVIEW_TTL_DAYS = 7;
+
+const linkPreviewSchema = new Schema({
+  url: { type: String, required: true, unique: true },
+  ok: { type: Boolean, default: false },
+  title: String,
+  description: String,
+  image: String,
+  siteName: String,
+  fetchedAt: { type: Date, default: Date.now },
+});
+
+linkPreviewSchema.index({ fetchedAt: 1 }, { expireAfterSeconds: LINK_PREVIEW_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("LinkPreview", linkPreviewSchema);
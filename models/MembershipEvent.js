@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Someone lost access to a room. Kept for a while so reconnecting clients
+// (GET /api/sync) can drop rooms they were removed from while offline.
+const MEMBERSHIP_EVENT_TTL_DAYS = 30;
+
+const membershipEventSchema = new Schema({
+  room: { type: Schema.Types.ObjectId, ref: "Room", required: true },
+  user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  kind: { type: String, enum: ["removed", "left", "deleted"], required: true },
+  at: { type: Date, default: Date.now },
+});
+
+membershipEventSchema.index({ user: 1, at: 1 });
+membershipEventSchema.index({ at: 1 }, { expireAfterSeconds: MEMBERSHIP_EVENT_TTL_DAYS * 24 * 60 * 60 });
+
+const MembershipEvent = mongoose.model("MembershipEvent", membershipEventSchema);
+MembershipEvent.TTL_DAYS = MEMBERSHIP_EVENT_TTL_DAYS;
+
+module.exports = MembershipEvent;
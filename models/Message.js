@@ -2,11 +2,34 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
 
+// kind "poll": content holds the question so polls show up in search; votes
+// are one row per (user, option) and summarized for clients by utils/messageFormat
+const pollSchema = new Schema(
+  {
+    question: { type: String, required: true },
+    options: [new Schema({ text: { type: String, required: true } })], // own _id: votes point at it
+    multiple: { type: Boolean, default: false },
+    anonymous: { type: Boolean, default: false }, // voters are never shown, not even to the creator
+    closesAt: Date,
+    closedAt: Date,
+    votes: [
+      {
+        _id: false,
+        user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        option: { type: Schema.Types.ObjectId, required: true },
+      },
+    ],
+  },
+  { _id: false }
+);
+
 const messageSchema = new Schema(
   {
     chat: { type: Schema.Types.ObjectId, ref: "Room", required: true },
     sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
     content: { type: String, trim: true },
+    kind: { type: String, enum: ["text", "announcement", "poll"], default: "text" }, // announcements: admins only
+    poll: { type: pollSchema, default: undefined },
     attachments: [
       {
         url: String,
@@ -16,11 +39,70 @@ const messageSchema = new Schema(
       },
     ],
     readBy: [{ type: Schema.Types.ObjectId, ref: "User" }],
-    favorites: [{ type: Schema.Types.ObjectId, ref: "User" }], // users who favorited this message
+    // resolved by utils/mentions; @all / @here are expanded into ids and noted in mentionsGroup
+    mentions: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    mentionsGroup: { type: String, enum: ["all", "here"] },
+    favorites: [{ type: Schema.Types.ObjectId, ref: "User" }], // users who starred this message (personal)
+    // one row per (emoji, user); summarized for clients by utils/messageFormat
+    reactions: [
+      {
+        _id: false,
+        emoji: { type: String, required: true },
+        user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+      },
+    ],
+    // filled in after sending by utils/linkPreview
+    linkPreviews: [
+      {
+        _id: false,
+        url: { type: String, required: true },
+        title: String,
+        description: String,
+        image: String,
+        siteName: String,
+      },
+    ],
     forwarded: { type: Boolean, default: false }, // forwarded message flag
     replyTo: { type: Schema.Types.ObjectId, ref: "Message" }, // ✅ reference to replied message
+    // threads: replies point at the root; the root keeps the counters
+    threadRoot: { type: Schema.Types.ObjectId, ref: "Message" },
+    inTimeline: { type: Boolean, default: true }, // false = reply lives only in its thread
+    replyCount: { type: Number, default: 0 },
+    lastReplyAt: Date,
+    threadParticipants: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    // edits keep the previous text; only room admins can read the history
+    editedAt: Date,
+    editHistory: [{ _id: false, content: String, editedAt: Date }],
+    // soft delete: shown as a tombstone, files are purged by jobs/messagePurge after a grace period
+    deletedAt: Date,
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    purgedAt: Date,
+    // hidden by a moderator: tombstoned for clients, kept for the record
+    hiddenAt: Date,
+    hiddenBy: { type: Schema.Types.ObjectId, ref: "User" },
+    // set by callers that may retry (jobs/messageScheduler) so a retry can't post twice
+    idempotencyKey: { type: String, select: false },
   },
   { timestamps: true }
 );
 
+// history pages are read newest-first per room, with _id as tie-breaker
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+// reconnect sync: everything touched since a point in time
+messageSchema.index({ chat: 1, updatedAt: 1, _id: 1 });
+// thread view
+messageSchema.index({ threadRoot: 1, createdAt: -1, _id: -1 });
+// purge job picks up tombstones whose grace period has passed
+messageSchema.index({ deletedAt: 1, purgedAt: 1 });
+// GET /api/messages/search
+messageSchema.index({ content: "text" });
+// GET /api/mentions
+messageSchema.index({ mentions: 1, createdAt: -1 });
+// "starred messages" list
+messageSchema.index({ favorites: 1, createdAt: -1 });
+// jobs/pollCloser
+messageSchema.index({ "poll.closesAt": 1 }, { partialFilterExpression: { kind: "poll" } });
+// utils/messaging.postMessage retries
+messageSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } });
+
 module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const MODERATION_ACTIONS = ["dismiss", "hide", "delete", "suspend", "unsuspend", "role"];
+
+// Audit log: one row per moderator decision, never edited.
+const moderationActionSchema = new Schema({
+  moderator: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  action: { type: String, enum: MODERATION_ACTIONS, required: true },
+  targetType: { type: String, enum: ["message", "resource", "comment", "user"], required: true },
+  message: { type: Schema.Types.ObjectId, ref: "Message" },
+  resource: { type: Schema.Types.ObjectId, ref: "Resource" },
+  comment: Schema.Types.ObjectId,
+  subject: { type: Schema.Types.ObjectId, ref: "User" }, // author of the content / suspended user
+  reports: [{ type: Schema.Types.ObjectId, ref: "Report" }], // every report this decision closed
+  note: { type: String, maxlength: 1000 },
+  suspendedUntil: Date,
+  role: String, // role actions: the new platform role
+}, { timestamps: true });
+
+moderationActionSchema.index({ createdAt: -1, _id: -1 });
+moderationActionSchema.index({ subject: 1, createdAt: -1 });
+
+const ModerationAction = mongoose.model("ModerationAction", moderationActionSchema);
+ModerationAction.ACTIONS = MODERATION_ACTIONS;
+
+module.exports = ModerationAction;
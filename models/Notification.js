@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// categories double as keys of User.notificationPrefs
+const NOTIFICATION_CATEGORIES = ["resourceComment", "resourceLike", "roomAdded", "reply"];
+const NOTIFICATION_TTL_DAYS = 90;
+
+const notificationSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: "User", required: true }, // recipient
+  category: { type: String, enum: NOTIFICATION_CATEGORIES, required: true },
+  actor: { type: Schema.Types.ObjectId, ref: "User" },
+  text: { type: String, required: true },
+  // whatever the client needs to deep-link: roomId, messageId, resourceId, commentId
+  data: { type: Schema.Types.Mixed, default: {} },
+  readAt: Date,
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+Notification.CATEGORIES = NOTIFICATION_CATEGORIES;
+
+module.exports = Notification;
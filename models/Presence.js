@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One document per online user, holding their live /chat sockets across every
+// server instance (see utils/presence). Coming online / going offline is
+// decided by a single update on this document. Instances refresh seenAt on a
+// heartbeat; sockets of a crashed instance are swept (and their users
+// announced offline) by jobs/presenceSweep. The TTL is only a backstop for
+// when no instance is left to sweep.
+const PRESENCE_TTL_SECONDS = 10 * 60;
+
+const presenceSchema = new Schema({
+  _id: { type: Schema.Types.ObjectId, ref: "User" }, // the user
+  sockets: [
+    {
+      _id: String, // socket id
+      node: { type: String, required: true },
+      seenAt: { type: Date, default: Date.now },
+    },
+  ],
+  seenAt: { type: Date, default: Date.now }, // latest heartbeat of any of the sockets
+});
+
+presenceSchema.index({ "sockets.node": 1 });
+presenceSchema.index({ seenAt: 1 }, { expireAfterSeconds: PRESENCE_TTL_SECONDS });
+
+module.exports = mongoose.model("Presence", presenceSchema);
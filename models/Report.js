@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const REPORT_REASONS = ["spam", "harassment", "inappropriate", "copyright", "other"];
+const REPORT_TARGETS = ["message", "resource", "comment"];
+
+// A user flagging a chat message, a resource or a resource comment.
+// Resolved from the moderation queue (routes/moderationRoutes).
+const reportSchema = new Schema({
+  reporter: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  targetType: { type: String, enum: REPORT_TARGETS, required: true },
+  message: { type: Schema.Types.ObjectId, ref: "Message" },
+  resource: { type: Schema.Types.ObjectId, ref: "Resource" }, // also set for comments
+  comment: Schema.Types.ObjectId, // Resource.comments subdocument
+  author: { type: Schema.Types.ObjectId, ref: "User" }, // who wrote / uploaded the content
+  snapshot: String, // the content as it was when reported
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, maxlength: 1000 },
+  status: { type: String, enum: ["open", "resolved", "dismissed"], default: "open" },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  resolvedAt: Date,
+  decision: { type: Schema.Types.ObjectId, ref: "ModerationAction" },
+}, { timestamps: true });
+
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+reportSchema.index({ targetType: 1, message: 1, resource: 1, comment: 1, status: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+Report.REASONS = REPORT_REASONS;
+Report.TARGETS = REPORT_TARGETS;
+
+module.exports = Report;
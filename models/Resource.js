@@ -4,6 +4,8 @@ const commentSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   text: { type: String, required: true },
   createdAt: { type: Date, default: Date.now },
+  hiddenAt: Date, // hidden by a moderator
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 });
 
 const resourceSchema = new mongoose.Schema({
@@ -22,6 +24,11 @@ const resourceSchema = new mongoose.Schema({
     default: 0,
   }, // 👈 Add this line
   createdAt: { type: Date, default: Date.now },
+  hiddenAt: Date, // hidden by a moderator; left out of the library
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  official: { type: Boolean, default: false }, // vouched for by faculty
+  officialBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  officialAt: Date,
   uploader: {
   type: mongoose.Schema.Types.ObjectId,
   ref: "User",
@@ -3,8 +3,49 @@ const { Schema } = mongoose;
 
 const roomSchema = new Schema({
   name: String,
+  avatarUrl: String,
+  avatarCloudinaryId: String, // previous avatar is destroyed when replaced
   members: [{ type: Schema.Types.ObjectId, ref: "User" }],
-  isGroup: { type: Boolean, default: true }
+  isGroup: { type: Boolean, default: true },
+  // group roles: owner is implicitly an admin, everyone else in members is a plain member
+  owner: { type: Schema.Types.ObjectId, ref: "User" },
+  admins: [{ type: Schema.Types.ObjectId, ref: "User" }],
+  // faculty course channel: only the owner / admins post, everyone else reads
+  broadcast: { type: Boolean, default: false },
+  course: String,
+  // room header: pinned messages (capped, see utils/pins) and the latest announcement
+  pinnedMessages: [{
+    _id: false,
+    message: { type: Schema.Types.ObjectId, ref: "Message", required: true },
+    pinnedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    pinnedAt: { type: Date, default: Date.now },
+  }],
+  announcement: { type: Schema.Types.ObjectId, ref: "Message" },
+  // per-member read position, see utils/unread
+  readCursors: [{
+    _id: false,
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    lastReadAt: Date,
+    lastReadMessageId: { type: Schema.Types.ObjectId, ref: "Message" },
+  }],
 }, { timestamps: true });
 
+roomSchema.index({ members: 1 });
+
+const idOf = (v) => (v && v._id ? v._id : v)?.toString();
+
+// "owner" | "admin" | "member" | null (not in the room)
+roomSchema.methods.roleOf = function (userId) {
+  const uid = idOf(userId);
+  if (!uid || !this.members.some((m) => idOf(m) === uid)) return null;
+  if (idOf(this.owner) === uid) return "owner";
+  if (this.admins.some((a) => idOf(a) === uid)) return "admin";
+  return "member";
+};
+
+roomSchema.methods.isAdmin = function (userId) {
+  const role = this.roleOf(userId);
+  return role === "owner" || role === "admin";
+};
+
 module.exports = mongoose.model("Room", roomSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A message composed now and posted later by jobs/messageScheduler,
+// optionally repeating (e.g. every week from the first sendAt).
+const scheduledMessageSchema = new Schema({
+  sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  chat: { type: Schema.Types.ObjectId, ref: "Room", required: true },
+  content: { type: String, trim: true },
+  kind: { type: String, enum: ["text", "announcement"], default: "text" },
+  attachments: [
+    {
+      url: String,
+      filename: String,
+      type: { type: String, enum: ["image", "video", "pdf", "word", "excel", "other"] },
+      cloudinaryId: String,
+    },
+  ],
+  sendAt: { type: Date, required: true }, // next fire time
+  // repeats are counted from the first sendAt, on the sender's wall clock (IANA zone)
+  anchorAt: Date,
+  timezone: { type: String, default: "UTC" },
+  repeat: {
+    every: { type: String, enum: ["day", "week", "month"] },
+    interval: { type: Number, default: 1, min: 1 },
+    until: Date,
+  },
+  status: { type: String, enum: ["scheduled", "sent", "cancelled", "failed"], default: "scheduled" },
+  sentCount: { type: Number, default: 0 },
+  lastSentAt: Date,
+  lastError: String,
+  lockedUntil: Date, // claimed by an instance while firing
+}, { timestamps: true });
+
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.model("ScheduledMessage", scheduledMessageSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One login on one device. The refresh token is "<session id>.<secret>";
+// only a hash of the current secret (and the one before, for reuse
+// detection) is stored. Rotated on every refresh, see utils/sessions.
+const sessionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: String,
+  userAgent: String,
+  device: String, // short label derived from the user agent, e.g. "Chrome on Windows"
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ["logout", "remote_logout", "password_change", "token_reuse", "logout_all"] },
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
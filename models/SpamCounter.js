@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Spam-guard state shared by every instance in CHAT_CLUSTER_MODE=mongo (see
+// utils/spamGuard): one row per (key, fixed window) counter, and one
+// "mute:<userId>" row per muted user. Rows go away by TTL once they no
+// longer matter.
+const spamCounterSchema = new Schema({
+  key: { type: String, required: true },
+  windowStart: { type: Number, default: 0 }, // ms; 0 for mute rows
+  count: { type: Number, default: 0 },
+  // mute rows
+  until: Date,
+  lastAt: Date,
+  expiresAt: { type: Date, required: true },
+});
+
+spamCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+spamCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("SpamCounter", spamCounterSchema);
@@ -1,13 +1,95 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
 
+// platform roles; what each may do is in utils/permissions
+const ROLES = ["student", "faculty", "moderator", "admin"];
+
 const userSchema = new Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  // always stored (and looked up) as normalizeEmail leaves it: trimmed, lower case
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
   password: { type: String, required: true }, // hashed
   resetToken: String,
   resetTokenExpiry: Date,
+  // accounts from before verification existed have no field and read as verified;
+  // /api/register sets false explicitly until the emailed link is used
+  emailVerified: { type: Boolean, default: true },
+  verifyToken: String,
+  verifyTokenExpiry: Date,
+  // TOTP two-factor auth (utils/twoFactor, routes/twoFactorRoutes); only `enabled` reaches clients
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String, // base32
+    pendingSecret: String, // from /api/2fa/setup until /api/2fa/confirm
+    recoveryCodes: [String], // sha256 of the unused one-time codes
+    lastUsedStep: Number, // replay guard: codes from this TOTP step or earlier are refused
+    enabledAt: Date,
+  },
   avatarUrl: String,
+  avatarCloudinaryId: String, // own upload (PUT /api/me/avatar); replaced ones are destroyed
+  // changed by admins through routes/adminRoutes
+  role: { type: String, enum: ROLES, default: "student" },
+  courses: [String], // faculty: the course subjects they teach (broadcast rooms)
+  // suspended accounts are turned away by authMiddleware and the socket handshake
+  suspendedAt: Date,
+  suspendedUntil: Date, // unset = until a moderator lifts it
+  suspensionReason: String,
+  // profile (PATCH /api/me); stream / semester are also matched against resources for the digest
+  bio: String,
+  stream: String,
+  semester: Number,
+  department: String,
+  // which Notification categories get delivered (see models/Notification)
+  notificationPrefs: {
+    resourceComment: { type: Boolean, default: true },
+    resourceLike: { type: Boolean, default: true },
+    roomAdded: { type: Boolean, default: true },
+    reply: { type: Boolean, default: true },
+  },
+  // opt-in email digest, sent by jobs/digestMailer
+  digest: {
+    frequency: { type: String, enum: ["off", "daily", "weekly"], default: "off" },
+    hourUtc: { type: Number, min: 0, max: 23, default: 8 },
+    weekday: { type: Number, min: 0, max: 6, default: 1 }, // weekly only, 0 = Sunday
+    nextAt: Date,
+    unsubscribeToken: String,
+  },
+  // one-way blocks (see utils/blocks)
+  blockedUsers: [{ type: Schema.Types.ObjectId, ref: "User" }],
+  // no unread badges / notifications from these rooms until `until` (null = until unmuted)
+  mutedRooms: [
+    {
+      _id: false,
+      room: { type: Schema.Types.ObjectId, ref: "Room", required: true },
+      until: { type: Date, default: null },
+    },
+  ],
 }, { timestamps: true });
 
-module.exports = mongoose.model("User", userSchema);
+userSchema.index({ "digest.nextAt": 1 });
+
+userSchema.methods.isSuspended = function (now = new Date()) {
+  return !!this.suspendedAt && (!this.suspendedUntil || this.suspendedUntil > now);
+};
+userSchema.index({ blockedUsers: 1 });
+// directory order (GET /api/users)
+userSchema.index({ name: 1, _id: 1 });
+userSchema.index({ stream: 1, name: 1 });
+
+// /api/login and /api/me send the user document back; keep hashes and tokens out of it
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.resetToken;
+    delete ret.resetTokenExpiry;
+    delete ret.verifyToken;
+    delete ret.verifyTokenExpiry;
+    if (ret.twoFactor) ret.twoFactor = { enabled: !!ret.twoFactor.enabled };
+    return ret;
+  },
+});
+
+const User = mongoose.model("User", userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
@@ -0,0 +1,151 @@
+// routes/adminRoutes.js
+// User management for platform admins: roles, faculty courses and direct
+// suspensions. Changes are logged to ModerationAction like moderator decisions.
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ModerationAction = require("../models/ModerationAction");
+const { authMiddleware } = require("../middleware/auth");
+const { parseLimit } = require("../utils/pagination");
+const { can, hasPermission } = require("../utils/permissions");
+const { decisionProblem, suspensionEnd, suspendUser } = require("../utils/moderation");
+const { userRoom, MODERATION_ROOM } = require("../utils/realtime");
+
+const router = express.Router();
+
+const MAX_COURSES = 20;
+const ADMIN_USER_FIELDS = "name email avatarUrl role courses emailVerified suspendedAt suspendedUntil createdAt";
+
+router.use(authMiddleware, can("users:manage"));
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// loads the target user; sends the error response and returns null otherwise
+async function loadUser(req, res) {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ error: "Invalid user ID" });
+    return null;
+  }
+  const user = await User.findById(userId).select(ADMIN_USER_FIELDS);
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  return user;
+}
+
+// 👥 All users, newest first (?q=name or email, ?role=, ?before=<userId>)
+router.get("/users", async (req, res) => {
+  try {
+    const { q, role, before } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    // a repeated parameter (?q=a&q=b) arrives as an array
+    for (const [key, value] of Object.entries({ q, role, before })) {
+      if (value !== undefined && typeof value !== "string") {
+        return res.status(400).json({ error: `${key} must be a single value` });
+      }
+    }
+    if (before && !mongoose.Types.ObjectId.isValid(before)) return res.status(400).json({ error: "Invalid cursor" });
+    if (role && !User.ROLES.includes(role)) return res.status(400).json({ error: "Unknown role" });
+
+    const query = {};
+    if (role) query.role = role;
+    if (q?.trim()) {
+      const re = new RegExp(escapeRegExp(q.trim()), "i");
+      query.$or = [{ name: re }, { email: re }];
+    }
+    if (before) query._id = { $lt: before };
+
+    const users = await User.find(query).select(ADMIN_USER_FIELDS).sort({ _id: -1 }).limit(limit + 1);
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
+
+    res.json({ users, hasMore });
+  } catch (err) {
+    console.error("Admin users error:", err);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// 🏷️ Change role and/or faculty courses { role?, courses?, note? }
+router.patch("/users/:userId", async (req, res) => {
+  try {
+    const { role, courses, note } = req.body || {};
+    if (role !== undefined && !User.ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${User.ROLES.join(", ")}` });
+    }
+    if (
+      courses !== undefined &&
+      !(Array.isArray(courses) && courses.length <= MAX_COURSES && courses.every((c) => typeof c === "string" && c.trim()))
+    ) {
+      return res.status(400).json({ error: `courses must be a list of at most ${MAX_COURSES} course names` });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (role !== undefined && role !== user.role && user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: "You can't change your own role" });
+    }
+
+    const previousRole = user.role;
+    if (role !== undefined) user.role = role;
+    if (courses !== undefined) user.courses = Array.from(new Set(courses.map((c) => c.trim())));
+    await user.save();
+
+    if (user.role !== previousRole) {
+      await ModerationAction.create({
+        moderator: req.user._id,
+        action: "role",
+        targetType: "user",
+        subject: user._id,
+        role: user.role,
+        note: note || `${previousRole} -> ${user.role}`,
+      });
+    }
+    // requests re-read the user every time; this just lets open clients update their UI
+    const chatNs = req.app.get("chatNs");
+    chatNs.to(userRoom(user._id.toString())).emit("role-changed", {
+      role: user.role,
+      courses: user.courses,
+    });
+    if (!hasPermission(user, "moderation:review")) {
+      chatNs.in(userRoom(user._id.toString())).socketsLeave(MODERATION_ROOM);
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error("Update user error:", err);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+// ⛔ Suspend directly, without a report { days?, reason? } (omit days for indefinitely)
+router.post("/users/:userId/suspend", async (req, res) => {
+  try {
+    const { days, reason } = req.body || {};
+    const problem = decisionProblem({ note: reason, days }, "reason");
+    if (problem) return res.status(400).json({ error: problem });
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (user._id.equals(req.user._id)) return res.status(400).json({ error: "You can't suspend yourself" });
+
+    const suspendedUntil = suspensionEnd(days);
+    const decision = await ModerationAction.create({
+      moderator: req.user._id,
+      action: "suspend",
+      targetType: "user",
+      subject: user._id,
+      note: reason,
+      suspendedUntil,
+    });
+    await suspendUser(req.app.get("chatNs"), user._id, { until: suspendedUntil, reason });
+    res.json({ decision });
+  } catch (err) {
+    console.error("Admin suspend error:", err);
+    res.status(500).json({ error: "Failed to suspend user" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/blockRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { userRoom } = require("../utils/realtime");
+
+const router = express.Router();
+
+// 🚷 Users I blocked
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    await req.user.populate("blockedUsers", "name avatarUrl");
+    res.json(req.user.blockedUsers);
+  } catch (err) {
+    console.error("List blocks error:", err);
+    res.status(500).json({ error: "Failed to fetch blocked users" });
+  }
+});
+
+// 🚫 Block someone: no new private chats either way, their messages and
+// presence disappear for me
+router.put("/:userId", authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: "Invalid user ID" });
+    if (req.user._id.equals(userId)) return res.status(400).json({ error: "You can't block yourself" });
+    if (!(await User.exists({ _id: userId }))) return res.status(404).json({ error: "User not found" });
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: userId } });
+
+    // my open sockets drop them from the online list right away
+    req.app.get("chatNs").to(userRoom(req.user._id.toString())).emit("presence", { userId, online: false });
+    res.json({ status: "ok", userId });
+  } catch (err) {
+    console.error("Block user error:", err);
+    res.status(500).json({ error: "Failed to block user" });
+  }
+});
+
+// ✅ Unblock
+router.delete("/:userId", authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: "Invalid user ID" });
+
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: userId } });
+    if (result.modifiedCount === 0) return res.status(404).json({ error: "User is not blocked" });
+
+    const online = await req.app.get("presence").onlineAmong([userId]);
+    req.app
+      .get("chatNs")
+      .to(userRoom(req.user._id.toString()))
+      .emit("presence", { userId, online: online.has(userId) });
+    res.json({ status: "ok", userId });
+  } catch (err) {
+    console.error("Unblock user error:", err);
+    res.status(500).json({ error: "Failed to unblock user" });
+  }
+});
+
+module.exports = router;
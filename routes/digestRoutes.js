@@ -0,0 +1,70 @@
+// routes/digestRoutes.js
+const express = require("express");
+const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { DIGEST_PERIOD_DAYS, newUnsubscribeToken, computeNextDigestAt } = require("../utils/digest");
+
+const router = express.Router();
+
+const publicPrefs = ({ frequency, hourUtc, weekday, nextAt }) => ({ frequency, hourUtc, weekday, nextAt });
+
+// 📬 My digest settings
+router.get("/preferences", authMiddleware, (req, res) => {
+  res.json(publicPrefs(req.user.digest));
+});
+
+// { frequency: "off" | "daily" | "weekly", hourUtc: 0-23, weekday: 0-6 }
+router.put("/preferences", authMiddleware, async (req, res) => {
+  try {
+    const { frequency, hourUtc, weekday } = req.body;
+    const digest = req.user.digest;
+    if (frequency !== undefined) {
+      if (frequency !== "off" && !DIGEST_PERIOD_DAYS[frequency]) {
+        return res.status(400).json({ error: "frequency must be off, daily or weekly" });
+      }
+      digest.frequency = frequency;
+    }
+    if (hourUtc !== undefined) {
+      if (!Number.isInteger(hourUtc) || hourUtc < 0 || hourUtc > 23) {
+        return res.status(400).json({ error: "hourUtc must be 0-23" });
+      }
+      digest.hourUtc = hourUtc;
+    }
+    if (weekday !== undefined) {
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return res.status(400).json({ error: "weekday must be 0-6" });
+      }
+      digest.weekday = weekday;
+    }
+
+    if (!digest.unsubscribeToken) digest.unsubscribeToken = newUnsubscribeToken();
+    digest.nextAt = computeNextDigestAt(digest) || undefined;
+    await req.user.save();
+
+    res.json(publicPrefs(digest));
+  } catch (err) {
+    console.error("Digest preferences error:", err);
+    res.status(500).json({ error: "Failed to update digest preferences" });
+  }
+});
+
+// 🚫 One-click unsubscribe from the email (no login). GET for the link,
+// POST for mail clients that support List-Unsubscribe-Post.
+async function unsubscribe(req, res) {
+  try {
+    const user = await User.findOneAndUpdate(
+      { "digest.unsubscribeToken": req.params.token },
+      { $set: { "digest.frequency": "off" }, $unset: { "digest.nextAt": "" } }
+    );
+    if (!user) return res.status(404).json({ message: "Invalid unsubscribe link" });
+    res.json({ message: "You have been unsubscribed from email digests" });
+  } catch (err) {
+    console.error("Digest unsubscribe error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+router.get("/unsubscribe/:token", unsubscribe);
+router.post("/unsubscribe/:token", unsubscribe);
+
+module.exports = router;
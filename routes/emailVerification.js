@@ -0,0 +1,48 @@
+// routes/emailVerification.js
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { sendVerificationEmail, resendAvailableAt } = require("../utils/verification");
+
+// --- Confirm Email ---
+router.post("/verify/:token", async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      verifyToken: token,
+      verifyTokenExpiry: { $gt: Date.now() },
+    });
+    if (!user) return res.status(400).json({ message: "Invalid or expired token" });
+
+    user.emailVerified = true;
+    user.verifyToken = undefined;
+    user.verifyTokenExpiry = undefined;
+    await user.save();
+
+    res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Resend Verification Link ---
+router.post("/resend", authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.emailVerified) return res.status(400).json({ message: "Email is already verified" });
+
+    const retryAt = resendAvailableAt(user);
+    if (retryAt) return res.status(429).json({ message: "Please wait before requesting another link", retryAt });
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification link sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// routes/mentionRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const { authMiddleware } = require("../middleware/auth");
+const { toClientMessage } = require("../utils/messageFormat");
+const { parseLimit, cursorFilter } = require("../utils/pagination");
+const { hideBlockedSenders } = require("../utils/blocks");
+const { unreadClauses } = require("../utils/unread");
+
+const router = express.Router();
+
+// 📣 Messages that mention me across my rooms, newest first.
+// Unread only by default (reading the room clears them); ?all=true for everything.
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { before, all } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const uid = req.user._id;
+    const rooms = await Room.find({ members: uid }).select("_id readCursors");
+    const query = {
+      mentions: uid,
+      chat: { $in: rooms.map((r) => r._id) },
+      deletedAt: null,
+      hiddenAt: null,
+      ...hideBlockedSenders(req.user),
+    };
+    // unread = after my read cursor in that room ($and: the page cursor below adds its own $or)
+    if (all !== "true") query.$and = [{ $or: unreadClauses(rooms, uid) }];
+    if (before) {
+      const cursor = await Message.findOne({ _id: before, mentions: uid }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(query, cursorFilter(cursor, "$lt"));
+    }
+
+    const msgs = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("sender", "name avatarUrl")
+      .populate("chat", "name isGroup");
+
+    const hasMore = msgs.length > limit;
+    if (hasMore) msgs.pop();
+
+    res.json({ messages: msgs.map((m) => toClientMessage(m, uid)), hasMore });
+  } catch (err) {
+    console.error("Mentions error:", err);
+    res.status(500).json({ error: "Failed to fetch mentions" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+// routes/messageRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const { authMiddleware } = require("../middleware/auth");
+const { loadMemberMessage } = require("../utils/roomAccess");
+const { summarizeReactions, toClientMessage, toBroadcastMessage } = require("../utils/messageFormat");
+const { parseLimit, cursorFilter } = require("../utils/pagination");
+const { PURGE_GRACE_MS } = require("../jobs/messagePurge");
+const { ATTACHMENT_TYPES, parseSearchQuery, buildSnippet } = require("../utils/search");
+const { populateHistory, fetchHistoryPage } = require("../utils/history");
+const { detachDeletedMessage } = require("../utils/pins");
+const { adjustThreadReplies } = require("../utils/threads");
+const { resolveMentions, notifyMentions } = require("../utils/mentions");
+const { hideBlockedSenders, emitExceptBlockers } = require("../utils/blocks");
+const { fileReport } = require("../utils/moderation");
+const { filterContent } = require("../utils/contentFilter");
+const { attachLinkPreviews } = require("../utils/linkPreview");
+const { loadPoll, castVote, closePoll } = require("../utils/polls");
+const { recordViolation } = require("../utils/spamGuard");
+const { userRoom } = require("../utils/realtime");
+
+const router = express.Router();
+
+const MAX_EMOJI_LENGTH = 32; // UTF-16 units; skin-tone ZWJ sequences and subdivision flags run long
+// exactly one emoji: keycap, flag pair, or a pictograph with modifiers / ZWJ joins / tag characters
+const PICTOGRAPH = String.raw`\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*`;
+const EMOJI_RE = new RegExp(
+  String.raw`^(?:[#*0-9]\uFE0F?\u20E3|\p{Regional_Indicator}{2}|${PICTOGRAPH}(?:\u200D${PICTOGRAPH})*[\u{E0020}-\u{E007F}]*)$`,
+  "u"
+);
+
+// ⭐ Starred messages across every room I'm still in (newest first, ?before=<messageId>)
+router.get("/starred", authMiddleware, async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const roomIds = await Room.find({ members: req.user._id }).distinct("_id");
+    const query = { favorites: req.user._id, chat: { $in: roomIds } };
+    if (before) {
+      const cursor = await Message.findOne({ _id: before, favorites: req.user._id }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(query, cursorFilter(cursor, "$lt"));
+    }
+
+    const msgs = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("sender", "name avatarUrl")
+      .populate("chat", "name isGroup");
+
+    const hasMore = msgs.length > limit;
+    if (hasMore) msgs.pop();
+
+    res.json({ messages: msgs.map((m) => toClientMessage(m, req.user._id)), hasMore });
+  } catch (err) {
+    console.error("Starred messages error:", err);
+    res.status(500).json({ error: "Failed to fetch starred messages" });
+  }
+});
+
+// 🔎 Search my rooms. Filters: room, sender, from, to (dates), has (or has:<type> inside q).
+// Newest first; page with ?before=<messageId>. Jump to a hit with
+// GET /api/rooms/:roomId/messages?around=<messageId>.
+router.get("/search", authMiddleware, async (req, res) => {
+  try {
+    const { q, room, sender, from, to, before } = req.query;
+    // ?q=a&q=b arrives as an array
+    if (q !== undefined && typeof q !== "string") return res.status(400).json({ error: "q must be a single query" });
+    const parsed = parseSearchQuery(q);
+    const has = new Set(parsed.has);
+    for (const t of [].concat(req.query.has || [])) {
+      if (!ATTACHMENT_TYPES.includes(t)) return res.status(400).json({ error: `Unknown attachment type: ${t}` });
+      has.add(t);
+    }
+    if (!parsed.text && has.size === 0) return res.status(400).json({ error: "Search query is required" });
+
+    for (const id of [room, sender, before]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid ID" });
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+    const limit = parseLimit(req.query.limit, 20, 50);
+
+    const roomFilter = { members: req.user._id };
+    if (room) roomFilter._id = room;
+    const roomIds = await Room.find(roomFilter).distinct("_id");
+
+    const query = { chat: { $in: roomIds }, deletedAt: null, hiddenAt: null, ...hideBlockedSenders(req.user) };
+    if (parsed.text) query.$text = { $search: parsed.text };
+    if (sender) query.sender = { ...query.sender, $eq: sender };
+    if (has.size > 0) query["attachments.type"] = { $in: Array.from(has) };
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+    if (before) {
+      const cursor = await Message.findOne({ _id: before, chat: { $in: roomIds } }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      query.$and = [cursorFilter(cursor, "$lt")];
+    }
+
+    const msgs = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("sender", "name avatarUrl")
+      .populate("chat", "name isGroup");
+
+    const hasMore = msgs.length > limit;
+    if (hasMore) msgs.pop();
+
+    const results = msgs.map((m) => ({
+      message: toClientMessage(m, req.user._id),
+      snippet: buildSnippet(m.content, parsed.terms),
+    }));
+    res.json({ results, hasMore });
+  } catch (err) {
+    console.error("Search error:", err);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+// ✏️ Edit my message (previous text goes to editHistory)
+router.put("/:messageId", authMiddleware, async (req, res) => {
+  try {
+    const raw = req.body?.content;
+    if (raw !== undefined && typeof raw !== "string") return res.status(400).json({ error: "Content must be text" });
+    if (!raw?.trim()) return res.status(400).json({ error: "Content is required" });
+
+    const { message, room, status, error } = await loadMemberMessage(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Not authorized to edit this message" });
+    }
+    if (message.deletedAt) return res.status(400).json({ error: "Cannot edit a deleted message" });
+    if (message.hiddenAt) return res.status(403).json({ error: "This message was hidden by a moderator" });
+    if (message.kind === "poll") return res.status(400).json({ error: "Polls can't be edited" });
+
+    // only once the edit is allowed at all, so a refused request can't count toward a mute
+    const filtered = filterContent(raw.trim());
+    if (filtered.error) {
+      // counts toward a spam mute like a blocked send-message
+      const mutedUntil = await recordViolation(req.user._id);
+      if (mutedUntil) {
+        req.app
+          .get("chatNs")
+          .to(userRoom(req.user._id.toString()))
+          .emit("send-muted", { until: mutedUntil, reason: filtered.code });
+      }
+      return res.status(400).json({ error: filtered.error, code: filtered.code, ...(mutedUntil && { mutedUntil }) });
+    }
+    const { content } = filtered;
+
+    let newlyMentioned = [];
+    if (message.content !== content) {
+      const mention = await resolveMentions({
+        content,
+        room,
+        senderId: req.user._id,
+        presence: req.app.get("presence"),
+      });
+      if (mention.error) return res.status(403).json({ error: mention.error });
+
+      const before = new Set(message.mentions.map(String));
+      newlyMentioned = mention.mentions.filter((id) => !before.has(id));
+
+      const now = new Date();
+      message.editHistory.push({ content: message.content, editedAt: now });
+      message.content = content;
+      message.editedAt = now;
+      message.mentions = mention.mentions;
+      message.mentionsGroup = mention.group || undefined;
+      await message.save();
+    }
+    await message.populate("sender", "name avatarUrl");
+
+    const chatNs = req.app.get("chatNs");
+    const broadcast = toBroadcastMessage(message);
+    await emitExceptBlockers(chatNs.to(message.chat.toString()), message.sender._id, "message-updated", broadcast);
+    if (newlyMentioned.length > 0) await notifyMentions(chatNs, newlyMentioned, broadcast);
+    attachLinkPreviews(chatNs, message); // previews follow the new text
+
+    res.json(toClientMessage(message, req.user._id));
+  } catch (err) {
+    console.error("Edit message error:", err);
+    res.status(500).json({ error: "Server error while editing message" });
+  }
+});
+
+// 🗑️ Delete my message: becomes a tombstone, restorable until undoUntil
+router.delete("/:messageId", authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { message, status, error } = await loadMemberMessage(messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Not authorized to delete this message" });
+    }
+
+    const chatNs = req.app.get("chatNs");
+    if (!message.deletedAt) {
+      message.deletedAt = new Date();
+      message.deletedBy = req.user._id;
+      await message.save();
+      await adjustThreadReplies(chatNs, message, -1);
+    }
+    const undoUntil = new Date(message.deletedAt.getTime() + PURGE_GRACE_MS);
+
+    chatNs.to(message.chat.toString()).emit("message-deleted", {
+      messageId,
+      chatId: message.chat,
+      deletedAt: message.deletedAt,
+    });
+    await detachDeletedMessage(chatNs, message);
+
+    res.json({ status: "ok", messageId, undoUntil });
+  } catch (err) {
+    console.error("❌ Delete message error:", err);
+    res.status(500).json({ error: "Server error while deleting message" });
+  }
+});
+
+// ↩️ Undo a delete while the grace period lasts
+router.post("/:messageId/restore", authMiddleware, async (req, res) => {
+  try {
+    const { message, status, error } = await loadMemberMessage(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Not authorized to restore this message" });
+    }
+    if (!message.deletedAt) return res.status(400).json({ error: "Message is not deleted" });
+    if (!message.deletedBy?.equals(message.sender)) {
+      return res.status(403).json({ error: "Removed by a moderator" });
+    }
+    if (message.purgedAt || Date.now() - message.deletedAt.getTime() > PURGE_GRACE_MS) {
+      return res.status(410).json({ error: "Undo window has expired" });
+    }
+
+    message.deletedAt = undefined;
+    message.deletedBy = undefined;
+    await message.save();
+    await message.populate("sender", "name avatarUrl");
+    const chatNs = req.app.get("chatNs");
+    await adjustThreadReplies(chatNs, message, 1);
+
+    // back in the room for everyone but the sender's blockers, like when it was first sent
+    const broadcast = toBroadcastMessage(message);
+    await emitExceptBlockers(chatNs.to(message.chat.toString()), message.sender._id, "message-updated", broadcast);
+
+    res.json(toClientMessage(message, req.user._id));
+  } catch (err) {
+    console.error("Restore message error:", err);
+    res.status(500).json({ error: "Server error while restoring message" });
+  }
+});
+
+// 🧵 Thread view: the root plus a page of replies (same cursors as room history)
+router.get("/:messageId/thread", authMiddleware, async (req, res) => {
+  try {
+    const { before, after } = req.query;
+    if (before && after) return res.status(400).json({ error: "Use either before or after, not both" });
+    const cursorId = before || after;
+    if (cursorId && !mongoose.Types.ObjectId.isValid(cursorId)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    const limit = parseLimit(req.query.limit, 50, 100);
+
+    const { message, status, error } = await loadMemberMessage(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    const rootId = message.threadRoot || message._id;
+
+    let cursor = null;
+    if (cursorId) {
+      cursor = await Message.findOne({ _id: cursorId, threadRoot: rootId }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const root = await populateHistory(Message.findById(rootId));
+    const filter = { threadRoot: rootId, ...hideBlockedSenders(req.user) };
+    const { msgs, hasMore } = await fetchHistoryPage(filter, cursor, after ? "$gt" : "$lt", limit);
+
+    res.json({
+      root: toClientMessage(root, req.user._id),
+      replies: msgs.map((m) => toClientMessage(m, req.user._id)),
+      hasMore,
+    });
+  } catch (err) {
+    console.error("Thread fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch thread" });
+  }
+});
+
+// 📜 Edit history (room admins only)
+router.get("/:messageId/history", authMiddleware, async (req, res) => {
+  try {
+    const { message, room, status, error } = await loadMemberMessage(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (!room.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: "Only room admins can view edit history" });
+    }
+    if (message.purgedAt) return res.status(410).json({ error: "Message has been purged" });
+
+    res.json({
+      messageId: message._id,
+      content: message.content,
+      editedAt: message.editedAt,
+      deletedAt: message.deletedAt,
+      history: message.editHistory,
+    });
+  } catch (err) {
+    console.error("Edit history error:", err);
+    res.status(500).json({ error: "Failed to fetch edit history" });
+  }
+});
+
+// 😀 Add / remove my reaction. The room gets a small reaction-updated event,
+// the caller gets the full summary with reactedByMe.
+async function setReaction(req, res, add) {
+  try {
+    const { messageId } = req.params;
+    const emoji = (req.params.emoji || "").trim();
+    if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_RE.test(emoji)) {
+      return res.status(400).json({ error: "Invalid emoji" });
+    }
+
+    const { message, status, error } = await loadMemberMessage(messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (message.deletedAt) return res.status(400).json({ error: "Message was deleted" });
+    if (message.hiddenAt) return res.status(403).json({ error: "This message was hidden by a moderator" });
+
+    const uid = req.user._id;
+    const update = add
+      ? await Message.updateOne(
+          { _id: messageId, reactions: { $not: { $elemMatch: { emoji, user: uid } } } },
+          { $push: { reactions: { emoji, user: uid } } }
+        )
+      : await Message.updateOne({ _id: messageId }, { $pull: { reactions: { emoji, user: uid } } });
+
+    const fresh = await Message.findById(messageId).select("chat reactions");
+    const reactions = summarizeReactions(fresh?.reactions, uid);
+
+    if (update.modifiedCount > 0) {
+      const count = reactions.find((r) => r.emoji === emoji)?.count || 0;
+      req.app
+        .get("chatNs")
+        .to(message.chat.toString())
+        .emit("reaction-updated", {
+          messageId,
+          chatId: message.chat,
+          emoji,
+          userId: uid,
+          action: add ? "add" : "remove",
+          count,
+        });
+    }
+
+    res.json({ messageId, reactions });
+  } catch (err) {
+    console.error("Reaction error:", err);
+    res.status(500).json({ error: "Failed to update reaction" });
+  }
+}
+
+router.put("/:messageId/reactions/:emoji", authMiddleware, (req, res) => setReaction(req, res, true));
+router.delete("/:messageId/reactions/:emoji", authMiddleware, (req, res) => setReaction(req, res, false));
+
+// ⭐ Star / unstar — personal, so nothing is broadcast to the room
+async function setStarred(req, res, starred) {
+  try {
+    const { messageId } = req.params;
+    const { status, error } = await loadMemberMessage(messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+
+    const update = starred ? { $addToSet: { favorites: req.user._id } } : { $pull: { favorites: req.user._id } };
+    await Message.updateOne({ _id: messageId }, update);
+
+    res.json({ messageId, starred });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+router.post("/:messageId/favorite", authMiddleware, (req, res) => setStarred(req, res, true));
+router.post("/:messageId/unfavorite", authMiddleware, (req, res) => setStarred(req, res, false));
+
+// 📊 Poll with current (or, once closed, final) results
+router.get("/:messageId/poll", authMiddleware, async (req, res) => {
+  try {
+    const { message, status, error } = await loadPoll(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    res.json({ messageId: message._id, chatId: message.chat, poll: toClientMessage(message, req.user._id).poll });
+  } catch (err) {
+    console.error("Poll fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch poll" });
+  }
+});
+
+// 🗳️ Vote { optionIds: [...] }; replaces my previous vote, [] takes it back
+router.put("/:messageId/poll/vote", authMiddleware, async (req, res) => {
+  try {
+    const result = await castVote(req.app.get("chatNs"), req.user._id, req.params.messageId, req.body?.optionIds);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ messageId: req.params.messageId, poll: result.poll });
+  } catch (err) {
+    console.error("Poll vote error:", err);
+    res.status(500).json({ error: "Failed to vote" });
+  }
+});
+
+// 🔒 Close early (poll creator or room admin)
+router.post("/:messageId/poll/close", authMiddleware, async (req, res) => {
+  try {
+    const { message, room, status, error } = await loadPoll(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (!message.sender.equals(req.user._id) && !room.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: "Only the poll creator or a room admin can close it" });
+    }
+    if (!(await closePoll(req.app.get("chatNs"), message._id))) {
+      return res.status(409).json({ error: "Poll is already closed" });
+    }
+    res.json({ status: "ok", messageId: message._id });
+  } catch (err) {
+    console.error("Poll close error:", err);
+    res.status(500).json({ error: "Failed to close poll" });
+  }
+});
+
+// 🚩 Report a message to the moderators { reason, details? }
+router.post("/:messageId/report", authMiddleware, async (req, res) => {
+  try {
+    const { message, status, error } = await loadMemberMessage(req.params.messageId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (message.deletedAt) return res.status(400).json({ error: "Message was deleted" });
+
+    const result = await fileReport(
+      req.app.get("chatNs"),
+      req.user._id,
+      { targetType: "message", message: message._id, author: message.sender, snapshot: message.content },
+      req.body
+    );
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ status: "ok", reportId: result.report._id });
+  } catch (err) {
+    console.error("Report message error:", err);
+    res.status(500).json({ error: "Failed to report message" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+// routes/moderationRoutes.js
+// Review queue for moderators. Every decision is written to ModerationAction
+// and closes all open reports about the same content.
+const express = require("express");
+const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const ModerationAction = require("../models/ModerationAction");
+const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { parseLimit, cursorFilter } = require("../utils/pagination");
+const {
+  targetKey,
+  moderateContent,
+  decisionProblem,
+  suspensionEnd,
+  suspendUser,
+} = require("../utils/moderation");
+const { can, hasRole, hasPermission } = require("../utils/permissions");
+
+const router = express.Router();
+
+const DECISIONS = ["dismiss", "hide", "delete", "suspend"];
+
+router.use(authMiddleware, can("moderation:review"));
+
+const populateReport = (query) =>
+  query
+    .populate("reporter", "name avatarUrl")
+    .populate("author", "name avatarUrl suspendedAt suspendedUntil")
+    .populate("message", "chat content attachments deletedAt hiddenAt createdAt")
+    .populate("resource", "title fileName fileUrl hiddenAt createdAt");
+
+// 🗂️ Queue, oldest first (?status=open|resolved|dismissed|all, ?targetType=, ?after=<reportId>)
+router.get("/reports", async (req, res) => {
+  try {
+    const { status = "open", targetType, after } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    if (after && !mongoose.Types.ObjectId.isValid(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (targetType) {
+      if (!Report.TARGETS.includes(targetType)) return res.status(400).json({ error: "Unknown targetType" });
+      query.targetType = targetType;
+    }
+    if (after) {
+      const cursor = await Report.findById(after).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(query, cursorFilter(cursor, "$gt"));
+    }
+
+    const reports = await populateReport(
+      Report.find(query)
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(limit + 1)
+    );
+    const hasMore = reports.length > limit;
+    if (hasMore) reports.pop();
+
+    res.json({ reports, hasMore });
+  } catch (err) {
+    console.error("Report queue error:", err);
+    res.status(500).json({ error: "Failed to fetch reports" });
+  }
+});
+
+// 🔍 One report, with every other report about the same content
+router.get("/reports/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+    const report = await populateReport(Report.findById(req.params.id)).populate("decision");
+    if (!report) return res.status(404).json({ error: "Report not found" });
+
+    const key = targetKey({
+      targetType: report.targetType,
+      message: report.message?._id || report.message,
+      resource: report.resource?._id || report.resource,
+      comment: report.comment,
+    });
+    const related = await Report.find({ ...key, _id: { $ne: report._id } })
+      .sort({ createdAt: 1 })
+      .populate("reporter", "name");
+
+    res.json({ report, related });
+  } catch (err) {
+    console.error("Report fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch report" });
+  }
+});
+
+// ⚖️ Decide: { action: dismiss | hide | delete | suspend, note?, days? (suspend only; omit = indefinitely) }
+// The report is claimed and the ModerationAction written before anything is acted on,
+// so a repeated or concurrent decision gets a 409 instead of acting twice.
+router.post("/reports/:id/decision", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+    const { action, note, days } = req.body || {};
+    if (!DECISIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${DECISIONS.join(", ")}` });
+    }
+    const problem = decisionProblem({ note, days: action === "suspend" ? days : undefined });
+    if (problem) return res.status(400).json({ error: problem });
+
+    const report = await Report.findById(req.params.id);
+    if (!report) return res.status(404).json({ error: "Report not found" });
+    if (report.status !== "open") return res.status(409).json({ error: `Report is already ${report.status}` });
+
+    if (action === "suspend") {
+      if (!report.author) return res.status(400).json({ error: "Report has no author to suspend" });
+      if (report.author.equals(req.user._id)) return res.status(400).json({ error: "You can't suspend yourself" });
+      const author = await User.findById(report.author).select("role");
+      if (hasPermission(author, "moderation:review") && !hasRole(req.user, ["admin"])) {
+        return res.status(403).json({ error: "Only admins can suspend staff" });
+      }
+    }
+
+    const now = new Date();
+    const decisionId = new mongoose.Types.ObjectId();
+    const resolution = {
+      status: action === "dismiss" ? "dismissed" : "resolved",
+      resolvedBy: req.user._id,
+      resolvedAt: now,
+      decision: decisionId,
+    };
+    const claimed = await Report.findOneAndUpdate({ _id: report._id, status: "open" }, { $set: resolution });
+    if (!claimed) return res.status(409).json({ error: "Report was decided in the meantime" });
+
+    const key = targetKey(report);
+    const others = await Report.find({ ...key, status: "open" }).distinct("_id");
+    if (others.length) await Report.updateMany({ _id: { $in: others }, status: "open" }, { $set: resolution });
+
+    const suspendedUntil = action === "suspend" ? suspensionEnd(days, now) : undefined;
+    const decision = await ModerationAction.create({
+      _id: decisionId,
+      ...key,
+      moderator: req.user._id,
+      action,
+      subject: report.author,
+      reports: [report._id, ...others],
+      note,
+      suspendedUntil,
+    });
+
+    const chatNs = req.app.get("chatNs");
+    if (action === "suspend") {
+      await suspendUser(chatNs, report.author, { until: suspendedUntil, reason: note || report.reason });
+    } else if (action === "hide" || action === "delete") {
+      await moderateContent(chatNs, report, action, req.user._id);
+    }
+
+    res.json({ decision, closedReports: others.length + 1 });
+  } catch (err) {
+    console.error("Moderation decision error:", err);
+    res.status(500).json({ error: "Failed to record decision" });
+  }
+});
+
+// 📜 Decision log, newest first (?subject=<userId>, ?before=<actionId>)
+router.get("/actions", async (req, res) => {
+  try {
+    const { subject, before } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    for (const id of [subject, before]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const query = {};
+    if (subject) query.subject = subject;
+    if (before) {
+      const cursor = await ModerationAction.findById(before).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(query, cursorFilter(cursor, "$lt"));
+    }
+
+    const actions = await ModerationAction.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("moderator", "name")
+      .populate("subject", "name email");
+    const hasMore = actions.length > limit;
+    if (hasMore) actions.pop();
+
+    res.json({ actions, hasMore });
+  } catch (err) {
+    console.error("Moderation log error:", err);
+    res.status(500).json({ error: "Failed to fetch moderation log" });
+  }
+});
+
+// 🔓 Lift a suspension early
+router.post("/users/:userId/unsuspend", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: "Invalid user ID" });
+    const note = req.body?.note;
+    const problem = decisionProblem({ note });
+    if (problem) return res.status(400).json({ error: problem });
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, suspendedAt: { $ne: null } },
+      { $unset: { suspendedAt: "", suspendedUntil: "", suspensionReason: "" } }
+    );
+    if (!user) return res.status(404).json({ error: "User is not suspended" });
+
+    const decision = await ModerationAction.create({
+      moderator: req.user._id,
+      action: "unsuspend",
+      targetType: "user",
+      subject: user._id,
+      note,
+    });
+    res.json({ decision });
+  } catch (err) {
+    console.error("Unsuspend error:", err);
+    res.status(500).json({ error: "Failed to lift suspension" });
+  }
+});
+
+module.exports = router;
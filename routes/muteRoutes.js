@@ -0,0 +1,71 @@
+// routes/muteRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { loadMemberRoom } = require("../utils/roomAccess");
+const { pushUnreadCounts } = require("../utils/unread");
+const { isActiveMute } = require("../utils/mutes");
+
+const router = express.Router();
+
+const MAX_MUTE_MINUTES = 365 * 24 * 60;
+
+// 🔕 Rooms I muted (expired mutes are dropped)
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $pull: { mutedRooms: { until: { $lte: new Date() } } } });
+    const me = await User.findById(req.user._id)
+      .select("mutedRooms")
+      .populate("mutedRooms.room", "name isGroup avatarUrl");
+    res.json(me.mutedRooms.filter((m) => m.room));
+  } catch (err) {
+    console.error("List mutes error:", err);
+    res.status(500).json({ error: "Failed to fetch muted rooms" });
+  }
+});
+
+// 🔕 Mute a room for { minutes } (omit to mute until unmuted); muting again replaces the duration
+router.put("/:roomId", authMiddleware, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { minutes } = req.body || {};
+    if (minutes !== undefined && minutes !== null) {
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+        return res.status(400).json({ error: `minutes must be between 1 and ${MAX_MUTE_MINUTES}` });
+      }
+    }
+    const { room, status, error } = await loadMemberRoom(roomId, req.user._id, "_id");
+    if (error) return res.status(status).json({ error });
+
+    const until = minutes ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    req.user.mutedRooms = req.user.mutedRooms.filter((m) => !m.room.equals(room._id) && isActiveMute(m));
+    req.user.mutedRooms.push({ room: room._id, until });
+    await req.user.save();
+
+    await pushUnreadCounts(req.app.get("chatNs"), req.user._id, [room._id]);
+    res.json({ room: room._id, until });
+  } catch (err) {
+    console.error("Mute room error:", err);
+    res.status(500).json({ error: "Failed to mute room" });
+  }
+});
+
+// 🔔 Unmute
+router.delete("/:roomId", authMiddleware, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) return res.status(400).json({ error: "Invalid chat ID" });
+
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { mutedRooms: { room: roomId } } });
+    if (result.modifiedCount === 0) return res.status(404).json({ error: "Room is not muted" });
+
+    await pushUnreadCounts(req.app.get("chatNs"), req.user._id, [roomId]);
+    res.json({ status: "ok", room: roomId });
+  } catch (err) {
+    console.error("Unmute room error:", err);
+    res.status(500).json({ error: "Failed to unmute room" });
+  }
+});
+
+module.exports = router;
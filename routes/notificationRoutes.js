@@ -0,0 +1,106 @@
+// routes/notificationRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const { authMiddleware } = require("../middleware/auth");
+const { parseLimit, cursorFilter } = require("../utils/pagination");
+
+const router = express.Router();
+
+// 🔔 My notifications, newest first (?unread=true, ?before=<id>)
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { before, unread } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const query = { user: req.user._id };
+    if (unread === "true") query.readAt = null;
+    if (before) {
+      const cursor = await Notification.findOne({ _id: before, user: req.user._id }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      Object.assign(query, cursorFilter(cursor, "$lt"));
+    }
+
+    const [items, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate("actor", "name avatarUrl"),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    res.json({ notifications: items, unreadCount, hasMore });
+  } catch (err) {
+    console.error("Notifications error:", err);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// ⚙️ Which categories I receive
+router.get("/preferences", authMiddleware, (req, res) => {
+  res.json(req.user.notificationPrefs);
+});
+
+router.put("/preferences", authMiddleware, async (req, res) => {
+  try {
+    for (const [key, value] of Object.entries(req.body || {})) {
+      if (!Notification.CATEGORIES.includes(key)) return res.status(400).json({ error: `Unknown category: ${key}` });
+      if (typeof value !== "boolean") return res.status(400).json({ error: `${key} must be true or false` });
+      req.user.notificationPrefs[key] = value;
+    }
+    await req.user.save();
+    res.json(req.user.notificationPrefs);
+  } catch (err) {
+    console.error("Notification preferences error:", err);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
+// ✅ Mark everything read
+router.post("/read-all", authMiddleware, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ status: "ok", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("Mark all notifications error:", err);
+    res.status(500).json({ error: "Failed to mark notifications read" });
+  }
+});
+
+// ✅ Mark one read
+router.post("/:id/read", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ error: "Notification not found" });
+    res.json(notification);
+  } catch (err) {
+    console.error("Mark notification error:", err);
+    res.status(500).json({ error: "Failed to mark notification read" });
+  }
+});
+
+// 🗑️ Delete one
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+    const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: "Notification not found" });
+    res.json({ status: "ok", id: req.params.id });
+  } catch (err) {
+    console.error("Delete notification error:", err);
+    res.status(500).json({ error: "Failed to delete notification" });
+  }
+});
+
+module.exports = router;
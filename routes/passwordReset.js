@@ -5,6 +5,14 @@ const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 const nodemailer = require("nodemailer");
 const User = require("../models/User");
+const { authMiddleware } = require("../middleware/auth");
+const { createSession, revokeAllSessions } = require("../utils/sessions");
+const { normalizeEmail, passwordProblem } = require("../utils/verification");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const { checkThrottle, recordFailure, sendThrottled } = require("../utils/authThrottle");
+
+// same answer whether or not the address has an account
+const FORGOT_RESPONSE = { message: "If that email is registered, a reset link has been sent" };
 
 // --- Configure nodemailer ---
 const transporter = nodemailer.createTransport({
@@ -18,9 +26,15 @@ const transporter = nodemailer.createTransport({
 // --- Request Password Reset ---
 router.post("/forgot", async (req, res) => {
   try {
-    const { email } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const throttle = await checkThrottle("forgot", { email, ip: req.ip });
+    if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter, "message");
+    await recordFailure("forgot", { email, ip: req.ip });
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user) return res.json(FORGOT_RESPONSE);
 
     // Generate token
     const token = crypto.randomBytes(32).toString("hex");
@@ -28,9 +42,9 @@ router.post("/forgot", async (req, res) => {
     user.resetTokenExpiry = Date.now() + 3600000; // 1 hour
     await user.save();
 
-    // Send email
+    // Send email (not awaited: a slow mail server would otherwise reveal the account exists)
     const resetLink = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-    await transporter.sendMail({
+    transporter.sendMail({
       from: process.env.EMAIL_USER,
       to: email,
       subject: "Password Reset Request",
@@ -40,9 +54,9 @@ router.post("/forgot", async (req, res) => {
         <a href="${resetLink}">${resetLink}</a>
         <p>This link will expire in 1 hour.</p>
       `,
-    });
+    }).catch((err) => console.error("Reset email error:", err));
 
-    res.json({ message: "Password reset link sent successfully" });
+    res.json(FORGOT_RESPONSE);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Server error" });
@@ -54,6 +68,8 @@ router.post("/reset/:token", async (req, res) => {
   try {
     const { token } = req.params;
     const { password } = req.body;
+    const weak = passwordProblem(password);
+    if (weak) return res.status(400).json({ message: weak });
 
     const user = await User.findOne({
       resetToken: token,
@@ -61,16 +77,56 @@ router.post("/reset/:token", async (req, res) => {
     });
     if (!user) return res.status(400).json({ message: "Invalid or expired token" });
 
+    // the emailed link alone must not get past 2FA: the reset also needs a code { code }
+    if (user.twoFactor?.enabled) {
+      const throttle = await checkThrottle("login", { email: user.email, ip: req.ip });
+      if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter, "message");
+      const check = await verifySecondFactor(user, req.body.code);
+      if (check.error) {
+        await recordFailure("login", { email: user.email, ip: req.ip });
+        return res.status(401).json({ message: check.error, twoFactorRequired: true });
+      }
+    }
+
     const hashed = await bcrypt.hash(password, 10);
     user.password = hashed;
     user.resetToken = undefined;
     user.resetTokenExpiry = undefined;
     await user.save();
 
+    // whoever had the old password is logged out everywhere
+    await revokeAllSessions(req.app.get("chatNs"), user._id, "password_change");
+
     res.json({ message: "Password reset successfully" });
   } catch (err) {
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// --- Change Password (logged in) ---
+// Every session, including this one, is revoked; the caller gets a fresh one.
+router.post("/change", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "currentPassword and newPassword are required" });
+    }
+
+    const weak = passwordProblem(newPassword);
+    if (weak) return res.status(400).json({ message: weak });
+
+    const valid = await bcrypt.compare(currentPassword, req.user.password);
+    if (!valid) return res.status(401).json({ message: "Current password is incorrect" });
+
+    req.user.password = await bcrypt.hash(newPassword, 10);
+    await req.user.save();
+
+    await revokeAllSessions(req.app.get("chatNs"), req.user._id, "password_change");
+    res.json({ message: "Password changed successfully", ...(await createSession(req.user, req)) });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
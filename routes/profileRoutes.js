@@ -0,0 +1,98 @@
+// routes/profileRoutes.js
+// My own profile. Changes to what others see (name, avatar, bio, ...) go out
+// as a user-updated delta to everyone who shares a room with me.
+const express = require("express");
+const fs = require("fs");
+const cloudinary = require("cloudinary").v2;
+const User = require("../models/User");
+const Room = require("../models/Room");
+const { authMiddleware } = require("../middleware/auth");
+const { destroyAttachments, sniffImageType, avatarUpload } = require("../utils/attachments");
+const { defaultAvatarUrl, publicProfile, parseProfileUpdate } = require("../utils/profile");
+const { emitToUsers } = require("../utils/realtime");
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// me (other tabs) and everyone I share a room with; nobody else has me on screen
+async function broadcastProfile(req, user) {
+  const contacts = await Room.find({ members: user._id }).distinct("members");
+  emitToUsers(req.app.get("chatNs"), [user._id, ...contacts], "user-updated", publicProfile(user));
+}
+
+// 🙋 Me
+router.get("/", (req, res) => {
+  res.json(req.user);
+});
+
+// ✏️ Edit { name?, bio?, stream?, semester?, department? }
+router.patch("/", async (req, res) => {
+  try {
+    const { $set, $unset, error } = parseProfileUpdate(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    if (!update.$set && !update.$unset) return res.json(req.user);
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true });
+    await broadcastProfile(req, user);
+    res.json(user);
+  } catch (err) {
+    console.error("Update profile error:", err);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// 🖼️ Avatar (form field "avatar"), cropped to 256x256 by Cloudinary on upload
+router.put("/avatar", avatarUpload, async (req, res) => {
+  const file = req.file;
+  try {
+    if (!file) return res.status(400).json({ error: "No file uploaded" });
+    // checked on the bytes, before anything reaches Cloudinary
+    if (!(await sniffImageType(file.path))) {
+      return res.status(400).json({ error: "Avatar must be a JPEG, PNG, GIF or WebP image" });
+    }
+
+    const result = await cloudinary.uploader.upload(file.path, {
+      folder: "user_avatars",
+      resource_type: "image",
+      transformation: [{ width: 256, height: 256, crop: "fill", gravity: "face" }],
+    });
+
+    const previous = req.user.avatarCloudinaryId;
+    req.user.avatarUrl = result.secure_url;
+    req.user.avatarCloudinaryId = result.public_id;
+    await req.user.save();
+    if (previous) await destroyAttachments([{ cloudinaryId: previous, type: "image" }]);
+
+    await broadcastProfile(req, req.user);
+    res.json(req.user);
+  } catch (err) {
+    console.error("User avatar error:", err);
+    res.status(500).json({ error: "Failed to update avatar" });
+  } finally {
+    if (file) fs.unlink(file.path, () => {});
+  }
+});
+
+// 🗑️ Back to the default avatar
+router.delete("/avatar", async (req, res) => {
+  try {
+    const previous = req.user.avatarCloudinaryId;
+    req.user.avatarUrl = defaultAvatarUrl(req.user.email);
+    req.user.avatarCloudinaryId = undefined;
+    await req.user.save();
+    if (previous) await destroyAttachments([{ cloudinaryId: previous, type: "image" }]);
+
+    await broadcastProfile(req, req.user);
+    res.json(req.user);
+  } catch (err) {
+    console.error("Remove avatar error:", err);
+    res.status(500).json({ error: "Failed to remove avatar" });
+  }
+});
+
+module.exports = router;
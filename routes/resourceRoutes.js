@@ -4,7 +4,12 @@ const fs = require("fs");
 const path = require("path");
 const cloudinary = require("cloudinary").v2;
 const Resource = require("../models/Resource");
-const { authMiddleware } = require("../middleware/auth");
+const { authMiddleware, requireVerified } = require("../middleware/auth");
+const mongoose = require("mongoose");
+const { notify } = require("../utils/notify");
+const { visibleResource, destroyResource } = require("../utils/resources");
+const { fileReport } = require("../utils/moderation");
+const { can, hasPermission } = require("../utils/permissions");
 
 const router = express.Router();
 
@@ -18,7 +23,7 @@ cloudinary.config({
 const upload = multer({ dest: "uploads/resources" });
 
 // 📁 Upload Resource
-router.post("/upload", authMiddleware, upload.single("file"), async (req, res) => {
+router.post("/upload", authMiddleware, requireVerified, upload.single("file"), async (req, res) => {
   try {
     const { title, description, subject, stream, semester } = req.body;
     const file = req.file;
@@ -63,28 +68,54 @@ router.post("/upload", authMiddleware, upload.single("file"), async (req, res) =
 // 📚 Get Resources
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    const { stream, semester, subject } = req.query;
-    const filters = {};
+    const { stream, semester, subject, official } = req.query;
+    const filters = { hiddenAt: null };
     if (stream) filters.stream = stream.trim();
     if (semester) filters.semester = Number(semester);
     if (subject) filters.subject = subject.trim();
+    if (official === "true") filters.official = true;
 
     const resources = await Resource.find(filters)
       .populate("uploader", "name email")
+      .populate("officialBy", "name")
       .populate("comments.user", "name")
       .sort({ createdAt: -1 });
 
-    res.json(resources);
+    res.json(resources.map(visibleResource));
   } catch (err) {
     console.error("Fetch Error:", err);
     res.status(500).json({ error: "Failed to fetch resources" });
   }
 });
 
+// 🎓 Mark / unmark as official (faculty, admins) { official: true | false }
+router.put("/:id/official", authMiddleware, can("resources:official"), async (req, res) => {
+  try {
+    const { official } = req.body || {};
+    if (typeof official !== "boolean") return res.status(400).json({ error: "official must be true or false" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+
+    const update = official
+      ? { $set: { official: true, officialBy: req.user._id, officialAt: new Date() } }
+      : { $set: { official: false }, $unset: { officialBy: "", officialAt: "" } };
+    const resource = await Resource.findOneAndUpdate({ _id: req.params.id, hiddenAt: null }, update, { new: true })
+      .populate("uploader", "name email")
+      .populate("officialBy", "name")
+      .populate("comments.user", "name");
+    if (!resource) return res.status(404).json({ error: "Resource not found" });
+
+    res.json(visibleResource(resource));
+  } catch (err) {
+    console.error("Official resource error:", err);
+    res.status(500).json({ error: "Failed to update resource" });
+  }
+});
+
 // ❤️ Like / Unlike
 router.post("/:id/like", authMiddleware, async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id);
+    // hidden by a moderator: closed to likes and comments like it is to listings
+    const resource = await Resource.findOne({ _id: req.params.id, hiddenAt: null });
     if (!resource) return res.status(404).json({ message: "Resource not found" });
 
     const userId = req.user.id;
@@ -95,6 +126,16 @@ router.post("/:id/like", authMiddleware, async (req, res) => {
 
     await resource.save();
 
+    if (!alreadyLiked) {
+      await notify(req.app.get("chatNs"), {
+        user: resource.uploader,
+        actor: req.user._id,
+        category: "resourceLike",
+        text: `${req.user.name} liked your resource "${resource.title}"`,
+        data: { resourceId: resource._id },
+      });
+    }
+
     res.json({
       liked: !alreadyLiked,
       likesCount: resource.likes.length,
@@ -109,7 +150,7 @@ router.post("/:id/like", authMiddleware, async (req, res) => {
 router.post("/:id/comment", authMiddleware, async (req, res) => {
   try {
     const { text } = req.body;
-    const resource = await Resource.findById(req.params.id);
+    const resource = await Resource.findOne({ _id: req.params.id, hiddenAt: null });
     if (!resource) return res.status(404).json({ message: "Resource not found" });
 
     resource.comments.push({
@@ -123,6 +164,14 @@ router.post("/:id/comment", authMiddleware, async (req, res) => {
     const populated = await Resource.findById(req.params.id).populate("comments.user", "name");
     const lastComment = populated.comments[populated.comments.length - 1];
 
+    await notify(req.app.get("chatNs"), {
+      user: resource.uploader,
+      actor: req.user._id,
+      category: "resourceComment",
+      text: `${req.user.name} commented on "${resource.title}": ${text}`.slice(0, 200),
+      data: { resourceId: resource._id, commentId: lastComment._id },
+    });
+
     res.json(lastComment);
   } catch (err) {
     console.error("Comment error:", err);
@@ -135,6 +184,9 @@ router.get("/:id/download", authMiddleware, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
     if (!resource) return res.status(404).json({ message: "Resource not found" });
+    if (resource.hiddenAt && !resource.uploader.equals(req.user._id)) {
+      return res.status(404).json({ message: "Resource not found" });
+    }
 
     resource.downloadCount += 1;
     await resource.save();
@@ -151,22 +203,23 @@ router.get("/:id/download", authMiddleware, async (req, res) => {
 });
 
 // ✅ Get all resources uploaded by the logged-in user
+// (?uploaderId= lists someone else's; hidden ones only show to them and to moderators)
 router.get("/my", authMiddleware, async (req, res) => {
   try {
-    // Use user ID from token or query parameter (fallback)
-    const uploaderId = req.query.uploaderId || req.user.id;
+    const { uploaderId } = req.query;
+    if (uploaderId !== undefined && (typeof uploaderId !== "string" || !mongoose.Types.ObjectId.isValid(uploaderId))) {
+      return res.status(400).json({ message: "Invalid uploader ID" });
+    }
 
-    // Find all resources uploaded by this user
-    const resources = await Resource.find({ uploader: uploaderId })
+    const filter = { uploader: uploaderId || req.user._id };
+    const own = !uploaderId || req.user._id.equals(uploaderId);
+    if (!own && !hasPermission(req.user, "moderation:review")) filter.hiddenAt = null;
+
+    const resources = await Resource.find(filter)
       .populate("uploader", "name email")
       .sort({ createdAt: -1 });
 
-    if (!resources || resources.length === 0) {
-        return res.status(200).json([]); // ✅ Return empty array instead of 404
-      }
     res.status(200).json(resources);
-
-    res.json(resources);
   } catch (err) {
     console.error("Error fetching user resources:", err);
     res.status(500).json({ message: "Server error while fetching user resources." });
@@ -191,18 +244,8 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ message: "You are not authorized to delete this resource." });
     }
 
-    // If resource has a Cloudinary file, remove it
-    if (resource.fileUrl && resource.fileUrl.includes("cloudinary")) {
-      try {
-        const publicId = resource.fileUrl.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(publicId);
-      } catch (cloudErr) {
-        console.warn("Cloudinary delete warning:", cloudErr.message);
-      }
-    }
-
-    // Delete the resource from MongoDB
-    await Resource.findByIdAndDelete(resourceId);
+    // Cloudinary file + MongoDB document
+    await destroyResource(resource);
 
     res.status(200).json({ message: "Resource deleted successfully." });
   } catch (err) {
@@ -211,5 +254,55 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// 🚩 Report a resource (e.g. pirated or inappropriate upload) { reason, details? }
+router.post("/:id/report", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid ID" });
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) return res.status(404).json({ error: "Resource not found" });
+
+    const result = await fileReport(
+      req.app.get("chatNs"),
+      req.user._id,
+      {
+        targetType: "resource",
+        resource: resource._id,
+        author: resource.uploader,
+        snapshot: [resource.title, resource.description].filter(Boolean).join(" - "),
+      },
+      req.body
+    );
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ status: "ok", reportId: result.report._id });
+  } catch (err) {
+    console.error("Report resource error:", err);
+    res.status(500).json({ error: "Failed to report resource" });
+  }
+});
+
+// 🚩 Report a comment on a resource { reason, details? }
+router.post("/:id/comments/:commentId/report", authMiddleware, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+    const resource = await Resource.findById(id).select("comments");
+    const comment = resource?.comments.id(commentId);
+    if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+    const result = await fileReport(
+      req.app.get("chatNs"),
+      req.user._id,
+      { targetType: "comment", resource: resource._id, comment: comment._id, author: comment.user, snapshot: comment.text },
+      req.body
+    );
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ status: "ok", reportId: result.report._id });
+  } catch (err) {
+    console.error("Report comment error:", err);
+    res.status(500).json({ error: "Failed to report comment" });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,414 @@
+// routes/roomRoutes.js
+// Group administration. Roles live on the Room (owner / admins / members).
+const express = require("express");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const cloudinary = require("cloudinary").v2;
+const Room = require("../models/Room");
+const User = require("../models/User");
+const Message = require("../models/Message");
+const MembershipEvent = require("../models/MembershipEvent");
+const { authMiddleware, requireVerified } = require("../middleware/auth");
+const { loadMemberRoom } = require("../utils/roomAccess");
+const { emitToUsers, userRoom } = require("../utils/realtime");
+const { destroyAttachments, sniffImageType, avatarUpload } = require("../utils/attachments");
+const { toClientMessage } = require("../utils/messageFormat");
+const { MAX_PINS_PER_ROOM, loadRoomHeader, broadcastPins, broadcastAnnouncement } = require("../utils/pins");
+const { notifyMany } = require("../utils/notify");
+const { can, hasRole } = require("../utils/permissions");
+
+const router = express.Router();
+
+// load a group the caller belongs to; sends the error response and returns null otherwise
+async function loadGroup(req, res) {
+  const { room, status, error } = await loadMemberRoom(req.params.roomId, req.user._id);
+  if (error) {
+    res.status(status).json({ error });
+    return null;
+  }
+  if (!room.isGroup) {
+    res.status(400).json({ error: "Not a group chat" });
+    return null;
+  }
+  return room;
+}
+
+// push the fresh room to everyone still in it
+async function broadcastRoom(req, room) {
+  await room.populate("members", "name avatarUrl");
+  emitToUsers(req.app.get("chatNs"), room.members, "room-upsert", room);
+  return room;
+}
+
+// drop the user's sockets from the socket.io room so they stop receiving its traffic
+function detachSockets(req, roomId, userIds) {
+  const chatNs = req.app.get("chatNs");
+  for (const uid of userIds) chatNs.in(userRoom(uid.toString())).socketsLeave(roomId.toString());
+}
+
+// remembered so offline clients learn about it on their next sync
+function logMembershipLoss(roomId, userIds, kind) {
+  return MembershipEvent.insertMany(userIds.map((user) => ({ room: roomId, user, kind })));
+}
+
+// --- Course broadcast channel (faculty for their own courses, admins for any) { course, name?, members? } ---
+router.post("/broadcast", authMiddleware, requireVerified, can("rooms:broadcast"), async (req, res) => {
+  try {
+    const course = typeof req.body.course === "string" ? req.body.course.trim() : "";
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    const { members = [] } = req.body;
+    if (!course) return res.status(400).json({ error: "course is required" });
+    if (!hasRole(req.user, ["admin"]) && !(req.user.courses || []).includes(course)) {
+      return res.status(403).json({ error: "You can only create channels for courses you teach" });
+    }
+    if (!Array.isArray(members) || !members.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const users = await User.find({ _id: { $in: members } }).select("_id");
+    const memberIds = Array.from(new Set([req.user._id.toString(), ...users.map((u) => u._id.toString())]));
+    const room = await Room.create({
+      name: name || course,
+      members: memberIds,
+      isGroup: true,
+      owner: req.user._id,
+      broadcast: true,
+      course,
+    });
+    await broadcastRoom(req, room);
+    await notifyMany(req.app.get("chatNs"), memberIds, {
+      actor: req.user._id,
+      category: "roomAdded",
+      text: `${req.user.name} added you to ${room.name}`,
+      data: { roomId: room._id },
+    });
+
+    res.status(201).json(room);
+  } catch (err) {
+    console.error("Create broadcast room error:", err);
+    res.status(500).json({ error: "Failed to create channel" });
+  }
+});
+
+// --- Rename ---
+router.patch("/:roomId", authMiddleware, async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) return res.status(400).json({ error: "Name is required" });
+
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (!room.isAdmin(req.user._id)) return res.status(403).json({ error: "Only admins can rename this group" });
+
+    room.name = name;
+    await room.save();
+    res.json(await broadcastRoom(req, room));
+  } catch (err) {
+    console.error("Rename room error:", err);
+    res.status(500).json({ error: "Failed to rename room" });
+  }
+});
+
+// --- Avatar ---
+router.put("/:roomId/avatar", authMiddleware, avatarUpload, async (req, res) => {
+  const file = req.file;
+  try {
+    if (!file) return res.status(400).json({ error: "No file uploaded" });
+    // checked on the bytes, before anything reaches Cloudinary
+    if (!(await sniffImageType(file.path))) {
+      return res.status(400).json({ error: "Avatar must be a JPEG, PNG, GIF or WebP image" });
+    }
+
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (!room.isAdmin(req.user._id)) return res.status(403).json({ error: "Only admins can change the group avatar" });
+
+    const result = await cloudinary.uploader.upload(file.path, {
+      folder: "room_avatars",
+      resource_type: "image",
+      transformation: [{ width: 256, height: 256, crop: "fill" }],
+    });
+
+    const previous = room.avatarCloudinaryId;
+    room.avatarUrl = result.secure_url;
+    room.avatarCloudinaryId = result.public_id;
+    await room.save();
+    if (previous) await destroyAttachments([{ cloudinaryId: previous, type: "image" }]);
+
+    res.json(await broadcastRoom(req, room));
+  } catch (err) {
+    console.error("Room avatar error:", err);
+    res.status(500).json({ error: "Failed to update avatar" });
+  } finally {
+    if (file) fs.unlink(file.path, () => {});
+  }
+});
+
+// --- Add members ---
+router.post("/:roomId/members", authMiddleware, async (req, res) => {
+  try {
+    const { userIds = [] } = req.body;
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: "userIds is required" });
+    }
+    if (!userIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (!room.isAdmin(req.user._id)) return res.status(403).json({ error: "Only admins can add members" });
+
+    const existing = new Set(room.members.map(String));
+    const candidates = Array.from(new Set(userIds.map(String))).filter((id) => !existing.has(id));
+    const users = await User.find({ _id: { $in: candidates } }).select("_id");
+    const added = users.map((u) => u._id);
+    if (added.length === 0) return res.json(await room.populate("members", "name avatarUrl"));
+
+    room.members.push(...added);
+    await room.save();
+    await broadcastRoom(req, room);
+    emitToUsers(req.app.get("chatNs"), room.members, "member-added", {
+      roomId: room._id,
+      userIds: added,
+      addedBy: req.user._id,
+    });
+    await notifyMany(req.app.get("chatNs"), added, {
+      actor: req.user._id,
+      category: "roomAdded",
+      text: `${req.user.name} added you to ${room.name || "a group"}`,
+      data: { roomId: room._id },
+    });
+
+    res.json(room);
+  } catch (err) {
+    console.error("Add members error:", err);
+    res.status(500).json({ error: "Failed to add members" });
+  }
+});
+
+// --- Remove member ---
+router.delete("/:roomId/members/:userId", authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const room = await loadGroup(req, res);
+    if (!room) return;
+
+    const actorRole = room.roleOf(req.user._id);
+    const targetRole = room.roleOf(userId);
+    if (!targetRole) return res.status(404).json({ error: "User is not a member" });
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ error: "Use leave to remove yourself" });
+    }
+    // admins remove plain members, only the owner removes admins, nobody removes the owner
+    const allowed =
+      targetRole === "member"
+        ? actorRole === "owner" || actorRole === "admin"
+        : targetRole === "admin" && actorRole === "owner";
+    if (!allowed) return res.status(403).json({ error: "Not authorized to remove this member" });
+
+    room.members.pull(userId);
+    room.admins.pull(userId);
+    await room.save();
+    await logMembershipLoss(room._id, [userId], "removed");
+
+    detachSockets(req, room._id, [userId]);
+    const payload = { roomId: room._id, userId, removedBy: req.user._id };
+    emitToUsers(req.app.get("chatNs"), [...room.members, userId], "member-removed", payload);
+    await broadcastRoom(req, room);
+
+    res.json(room);
+  } catch (err) {
+    console.error("Remove member error:", err);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// --- Promote / demote admins (owner only) ---
+async function setAdmin(req, res, promote) {
+  try {
+    const { userId } = req.params;
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (room.roleOf(req.user._id) !== "owner") {
+      return res.status(403).json({ error: "Only the owner can manage admins" });
+    }
+
+    const targetRole = room.roleOf(userId);
+    if (!targetRole) return res.status(404).json({ error: "User is not a member" });
+    if (targetRole === "owner") return res.status(400).json({ error: "The owner is always an admin" });
+
+    if (promote) room.admins.addToSet(userId);
+    else room.admins.pull(userId);
+    await room.save();
+
+    res.json(await broadcastRoom(req, room));
+  } catch (err) {
+    console.error("Update admin error:", err);
+    res.status(500).json({ error: "Failed to update admin" });
+  }
+}
+
+router.put("/:roomId/admins/:userId", authMiddleware, (req, res) => setAdmin(req, res, true));
+router.delete("/:roomId/admins/:userId", authMiddleware, (req, res) => setAdmin(req, res, false));
+
+// --- Pins & announcement ---
+// in private chats both people manage pins; in groups only admins do
+const canManagePins = (room, userId) => !room.isGroup || room.isAdmin(userId);
+
+router.get("/:roomId/pins", authMiddleware, async (req, res) => {
+  try {
+    const { room, status, error } = await loadMemberRoom(req.params.roomId, req.user._id, "_id");
+    if (error) return res.status(status).json({ error });
+
+    const header = await loadRoomHeader(room._id, (m) => toClientMessage(m, req.user._id));
+    res.json({ ...header, maxPins: MAX_PINS_PER_ROOM });
+  } catch (err) {
+    console.error("Fetch pins error:", err);
+    res.status(500).json({ error: "Failed to fetch pins" });
+  }
+});
+
+router.put("/:roomId/pins/:messageId", authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { room, status, error } = await loadMemberRoom(req.params.roomId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (!canManagePins(room, req.user._id)) return res.status(403).json({ error: "Only admins can pin messages" });
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(400).json({ error: "Invalid message ID" });
+    const message = await Message.findOne({ _id: messageId, chat: room._id }).select("deletedAt");
+    if (!message) return res.status(404).json({ error: "Message not found" });
+    if (message.deletedAt) return res.status(400).json({ error: "Message was deleted" });
+
+    if (room.pinnedMessages.some((p) => p.message.equals(message._id))) {
+      return res.json({ status: "ok", messageId, pinned: true });
+    }
+    // the cap is part of the filter so concurrent pins can't overshoot it
+    const result = await Room.updateOne(
+      {
+        _id: room._id,
+        "pinnedMessages.message": { $ne: message._id },
+        [`pinnedMessages.${MAX_PINS_PER_ROOM - 1}`]: { $exists: false },
+      },
+      { $push: { pinnedMessages: { message: message._id, pinnedBy: req.user._id, pinnedAt: new Date() } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ error: `A room can have at most ${MAX_PINS_PER_ROOM} pinned messages` });
+    }
+
+    await broadcastPins(req.app.get("chatNs"), room._id);
+    res.json({ status: "ok", messageId, pinned: true });
+  } catch (err) {
+    console.error("Pin message error:", err);
+    res.status(500).json({ error: "Failed to pin message" });
+  }
+});
+
+router.delete("/:roomId/pins/:messageId", authMiddleware, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { room, status, error } = await loadMemberRoom(req.params.roomId, req.user._id);
+    if (error) return res.status(status).json({ error });
+    if (!canManagePins(room, req.user._id)) return res.status(403).json({ error: "Only admins can unpin messages" });
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return res.status(400).json({ error: "Invalid message ID" });
+
+    const result = await Room.updateOne({ _id: room._id }, { $pull: { pinnedMessages: { message: messageId } } });
+    if (result.modifiedCount > 0) await broadcastPins(req.app.get("chatNs"), room._id);
+
+    res.json({ status: "ok", messageId, pinned: false });
+  } catch (err) {
+    console.error("Unpin message error:", err);
+    res.status(500).json({ error: "Failed to unpin message" });
+  }
+});
+
+// take the announcement out of the header (the message itself stays in history)
+router.delete("/:roomId/announcement", authMiddleware, async (req, res) => {
+  try {
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (!room.isAdmin(req.user._id)) return res.status(403).json({ error: "Only admins can clear the announcement" });
+
+    if (room.announcement) {
+      room.announcement = undefined;
+      await room.save();
+      await broadcastAnnouncement(req.app.get("chatNs"), room._id);
+    }
+    res.json({ status: "ok" });
+  } catch (err) {
+    console.error("Clear announcement error:", err);
+    res.status(500).json({ error: "Failed to clear announcement" });
+  }
+});
+
+// removes a room together with its messages and their files
+async function destroyRoom(req, room, notifyUserIds) {
+  await logMembershipLoss(room._id, notifyUserIds.map((u) => u._id || u), "deleted");
+  const msgs = await Message.find({ chat: room._id }).select("attachments");
+  await destroyAttachments(msgs.flatMap((m) => m.attachments || []));
+  await Message.deleteMany({ chat: room._id });
+  if (room.avatarCloudinaryId) await destroyAttachments([{ cloudinaryId: room.avatarCloudinaryId, type: "image" }]);
+  await room.deleteOne();
+
+  detachSockets(req, room._id, notifyUserIds);
+  emitToUsers(req.app.get("chatNs"), notifyUserIds, "room-deleted", { roomId: room._id });
+}
+
+// --- Leave ---
+router.post("/:roomId/leave", authMiddleware, async (req, res) => {
+  try {
+    const room = await loadGroup(req, res);
+    if (!room) return;
+
+    const uid = req.user._id;
+    const wasOwner = room.roleOf(uid) === "owner";
+    room.members.pull(uid);
+    room.admins.pull(uid);
+
+    if (room.members.length === 0) {
+      await destroyRoom(req, room, [uid]);
+      return res.json({ status: "ok", roomId: room._id, deleted: true });
+    }
+
+    // hand ownership to the longest-standing admin, else the longest-standing member
+    if (wasOwner) {
+      room.owner = room.admins[0] || room.members[0];
+      room.admins.pull(room.owner);
+    }
+    await room.save();
+    await logMembershipLoss(room._id, [uid], "left");
+
+    detachSockets(req, room._id, [uid]);
+    emitToUsers(req.app.get("chatNs"), [...room.members, uid], "member-removed", {
+      roomId: room._id,
+      userId: uid,
+      removedBy: uid,
+    });
+    await broadcastRoom(req, room);
+
+    res.json({ status: "ok", roomId: room._id, deleted: false });
+  } catch (err) {
+    console.error("Leave room error:", err);
+    res.status(500).json({ error: "Failed to leave room" });
+  }
+});
+
+// --- Delete (owner only) ---
+router.delete("/:roomId", authMiddleware, async (req, res) => {
+  try {
+    const room = await loadGroup(req, res);
+    if (!room) return;
+    if (room.roleOf(req.user._id) !== "owner") {
+      return res.status(403).json({ error: "Only the owner can delete this group" });
+    }
+
+    await destroyRoom(req, room, room.members);
+    res.json({ status: "ok", roomId: room._id });
+  } catch (err) {
+    console.error("Delete room error:", err);
+    res.status(500).json({ error: "Failed to delete room" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,212 @@
+// routes/scheduledMessageRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const { authMiddleware } = require("../middleware/auth");
+const { loadMemberRoom } = require("../utils/roomAccess");
+const { isValidTimeZone } = require("../utils/timezone");
+
+const router = express.Router();
+
+const MAX_PENDING_PER_USER = 50;
+const REPEAT_UNITS = ["day", "week", "month"];
+const KINDS = ScheduledMessage.schema.path("kind").enumValues;
+const ATTACHMENT_TYPES = ScheduledMessage.schema.path("attachments").schema.path("type").enumValues;
+
+// an uploaded file as /api/upload describes it
+const isAttachment = (att) =>
+  !!att &&
+  typeof att === "object" &&
+  typeof att.url === "string" &&
+  ["filename", "cloudinaryId"].every((key) => att[key] === undefined || typeof att[key] === "string") &&
+  (att.type === undefined || ATTACHMENT_TYPES.includes(att.type));
+
+// validate content / attachments / kind from a request body; only present fields are checked
+function parseMessageFields(body) {
+  const out = {};
+  if (body.content !== undefined) {
+    if (typeof body.content !== "string") return { error: "content must be text" };
+    out.content = body.content;
+  }
+  if (body.attachments !== undefined) {
+    if (!Array.isArray(body.attachments) || !body.attachments.every(isAttachment)) {
+      return { error: "attachments must be a list of uploaded files" };
+    }
+    out.attachments = body.attachments;
+  }
+  if (body.kind !== undefined) {
+    if (!KINDS.includes(body.kind)) return { error: `kind must be one of: ${KINDS.join(", ")}` };
+    out.kind = body.kind;
+  }
+  return { fields: out };
+}
+
+// validate sendAt / repeat / timezone from a request body; only present fields are checked
+function parseSchedule(body) {
+  const out = {};
+  if (body.sendAt !== undefined) {
+    const sendAt = new Date(body.sendAt);
+    if (isNaN(sendAt)) return { error: "Invalid sendAt" };
+    if (sendAt <= new Date()) return { error: "sendAt must be in the future" };
+    out.sendAt = sendAt;
+  }
+  if (body.repeat !== undefined) {
+    if (body.repeat === null) {
+      out.repeat = undefined;
+    } else {
+      const { every, interval = 1, until } = body.repeat;
+      if (!REPEAT_UNITS.includes(every)) return { error: "repeat.every must be day, week or month" };
+      if (!Number.isInteger(interval) || interval < 1) return { error: "repeat.interval must be a positive integer" };
+      const untilDate = until ? new Date(until) : undefined;
+      if (untilDate && isNaN(untilDate)) return { error: "Invalid repeat.until" };
+      out.repeat = { every, interval, until: untilDate };
+    }
+  }
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) return { error: "timezone must be an IANA time zone, e.g. Europe/Berlin" };
+    out.timezone = body.timezone;
+  }
+  return { schedule: out };
+}
+
+// the same membership / role checks postMessage makes when the message fires
+async function checkCanPost(chatId, userId, kind) {
+  const { room, status, error } = await loadMemberRoom(chatId, userId, "_id isGroup owner admins broadcast");
+  if (error) return { status, error };
+  if (room.broadcast && !room.isAdmin(userId)) {
+    return { status: 403, error: "Only admins can post in this channel" };
+  }
+  if (kind === "announcement" && !(room.isGroup && room.isAdmin(userId))) {
+    return { status: 403, error: "Only group admins can post announcements" };
+  }
+  return { room };
+}
+
+// loads one of my scheduled messages; sends the error response and returns null otherwise
+async function loadOwn(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: "Invalid ID" });
+    return null;
+  }
+  const job = await ScheduledMessage.findOne({ _id: id, sender: req.user._id });
+  if (!job) {
+    res.status(404).json({ error: "Scheduled message not found" });
+    return null;
+  }
+  return job;
+}
+
+// ⏰ Schedule a message { chatId, content?, attachments?, kind?, sendAt, repeat?, timezone? }
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { fields, error: fieldsError } = parseMessageFields(req.body);
+    if (fieldsError) return res.status(400).json({ error: fieldsError });
+    const { content, attachments = [], kind = "text" } = fields;
+    const { chatId } = req.body;
+    if (!content?.trim() && attachments.length === 0) {
+      return res.status(400).json({ error: "Content or attachments required" });
+    }
+    if (req.body.sendAt === undefined) return res.status(400).json({ error: "sendAt is required" });
+    const { schedule, error: scheduleError } = parseSchedule(req.body);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+    const { room, status, error } = await checkCanPost(chatId, req.user._id, kind);
+    if (error) return res.status(status).json({ error });
+
+    const pending = await ScheduledMessage.countDocuments({ sender: req.user._id, status: "scheduled" });
+    if (pending >= MAX_PENDING_PER_USER) {
+      return res.status(409).json({ error: `You can have at most ${MAX_PENDING_PER_USER} scheduled messages` });
+    }
+
+    const job = await ScheduledMessage.create({
+      sender: req.user._id,
+      chat: room._id,
+      content,
+      kind,
+      attachments,
+      ...schedule,
+      anchorAt: schedule.sendAt,
+    });
+    res.status(201).json(job);
+  } catch (err) {
+    console.error("Schedule message error:", err);
+    res.status(500).json({ error: "Failed to schedule message" });
+  }
+});
+
+// 📋 My scheduled messages (?status=scheduled|sent|cancelled|failed|all, default scheduled)
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { status = "scheduled", chatId } = req.query;
+    const filter = { sender: req.user._id };
+    if (status !== "all") filter.status = status;
+    if (chatId) {
+      if (!mongoose.Types.ObjectId.isValid(chatId)) return res.status(400).json({ error: "Invalid chat ID" });
+      filter.chat = chatId;
+    }
+
+    const jobs = await ScheduledMessage.find(filter).sort({ sendAt: 1 }).populate("chat", "name isGroup");
+    res.json(jobs);
+  } catch (err) {
+    console.error("List scheduled messages error:", err);
+    res.status(500).json({ error: "Failed to fetch scheduled messages" });
+  }
+});
+
+// ✏️ Edit content / time / repeat while still pending
+router.patch("/:id", authMiddleware, async (req, res) => {
+  try {
+    const job = await loadOwn(req, res);
+    if (!job) return;
+    if (job.status !== "scheduled") return res.status(400).json({ error: `Message is already ${job.status}` });
+
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+    // the kind is fixed once scheduled
+    const { content, attachments } = req.body;
+    const { fields, error: fieldsError } = parseMessageFields({ content, attachments });
+    if (fieldsError) return res.status(400).json({ error: fieldsError });
+
+    // rights may have changed since it was scheduled (left the room, lost admin, ...)
+    const access = await checkCanPost(job.chat, req.user._id, job.kind);
+    if (access.error) return res.status(access.status).json({ error: access.error });
+
+    if (fields.content !== undefined) job.content = fields.content;
+    if (fields.attachments !== undefined) job.attachments = fields.attachments;
+    if (!job.content?.trim() && job.attachments.length === 0) {
+      return res.status(400).json({ error: "Content or attachments required" });
+    }
+    Object.assign(job, schedule);
+    // a new time or repeat rule starts a new series
+    if (schedule.sendAt || "repeat" in schedule) job.anchorAt = job.sendAt;
+    await job.save();
+    res.json(job);
+  } catch (err) {
+    console.error("Edit scheduled message error:", err);
+    res.status(500).json({ error: "Failed to update scheduled message" });
+  }
+});
+
+// 🚫 Cancel (kept in the list with status "cancelled")
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const job = await loadOwn(req, res);
+    if (!job) return;
+    if (job.status !== "scheduled") return res.status(400).json({ error: `Message is already ${job.status}` });
+
+    // only cancel if the scheduler hasn't claimed it this very moment
+    const result = await ScheduledMessage.updateOne(
+      { _id: job._id, status: "scheduled", $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] },
+      { $set: { status: "cancelled" } }
+    );
+    if (result.modifiedCount === 0) return res.status(409).json({ error: "Message is being sent right now" });
+
+    res.json({ status: "ok", id: job._id });
+  } catch (err) {
+    console.error("Cancel scheduled message error:", err);
+    res.status(500).json({ error: "Failed to cancel scheduled message" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// routes/sessionRoutes.js
+// Mounted at /api: token refresh, logout and the "where am I logged in" list.
+const express = require("express");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { authMiddleware } = require("../middleware/auth");
+const { rotateSession, revokeSession, revokeAllSessions } = require("../utils/sessions");
+
+const router = express.Router();
+
+// 🔄 New access token + refresh token for { refreshToken }; the old refresh token stops working
+router.post("/token/refresh", async (req, res) => {
+  try {
+    const result = await rotateSession(req.app.get("chatNs"), req.body?.refreshToken, req);
+    if (result.error) return res.status(401).json({ error: result.error });
+    const { user, ...tokens } = result;
+    res.json({ user: { _id: user._id, name: user.name, email: user.email, avatarUrl: user.avatarUrl }, ...tokens });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ error: "Failed to refresh token" });
+  }
+});
+
+// 🚪 Log out this session ({ all: true } logs out every device)
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    const chatNs = req.app.get("chatNs");
+    if (req.body?.all === true) {
+      const revoked = await revokeAllSessions(chatNs, req.user._id, "logout_all");
+      return res.json({ status: "ok", revoked });
+    }
+    await revokeSession(chatNs, req.authSession._id, "logout");
+    res.json({ status: "ok", revoked: 1 });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+// 💻 My active sessions, most recently used first
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("device userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions.map((s) => ({ ...s.toObject(), current: s._id.equals(req.authSession._id) })));
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+// ❌ Log out one of my sessions remotely; its sockets are disconnected
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid session ID" });
+    const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null }).select("_id");
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const reason = session._id.equals(req.authSession._id) ? "logout" : "remote_logout";
+    await revokeSession(req.app.get("chatNs"), session._id, reason);
+    res.json({ status: "ok", id });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// routes/syncRoutes.js
+const express = require("express");
+const { authMiddleware } = require("../middleware/auth");
+const { collectChanges } = require("../utils/sync");
+
+const router = express.Router();
+
+// 🔄 GET /api/sync?since=<token or timestamp> — same payload as the "sync" socket event
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const result = await collectChanges(req.user._id, req.query.since);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("Sync error:", err);
+    res.status(500).json({ error: "Sync failed" });
+  }
+});
+
+module.exports = router;
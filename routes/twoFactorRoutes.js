@@ -0,0 +1,128 @@
+// routes/twoFactorRoutes.js
+// Enrol, confirm and turn off TOTP two-factor auth. The login side lives
+// next to /api/login in server.js (POST /api/login/2fa).
+const express = require("express");
+const bcrypt = require("bcrypt");
+const { authMiddleware } = require("../middleware/auth");
+const { generateSecret, verifyTotp, otpauthUri } = require("../utils/totp");
+const { TOTP_ISSUER, newRecoveryCodes, verifySecondFactor } = require("../utils/twoFactor");
+const { revokeAllSessions } = require("../utils/sessions");
+const { checkThrottle, recordFailure, sendThrottled } = require("../utils/authThrottle");
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// 🔐 Status
+router.get("/", (req, res) => {
+  const tf = req.user.twoFactor || {};
+  res.json({
+    enabled: !!tf.enabled,
+    enabledAt: tf.enabledAt || null,
+    recoveryCodesLeft: tf.enabled ? tf.recoveryCodes.length : 0,
+  });
+});
+
+// 🆕 Start enrolment { password } -> secret + otpauth URI for the authenticator app
+router.post("/setup", async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (req.user.twoFactor?.enabled) return res.status(409).json({ error: "Two-factor authentication is already on" });
+    if (!password || !(await bcrypt.compare(password, req.user.password))) {
+      return res.status(401).json({ error: "Invalid password" });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({ secret, otpauthUri: otpauthUri({ secret, account: req.user.email, issuer: TOTP_ISSUER }) });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+});
+
+// ✅ Confirm with the first code from the app { code } -> recovery codes (shown once)
+router.post("/confirm", async (req, res) => {
+  try {
+    const tf = req.user.twoFactor;
+    if (tf.enabled) return res.status(409).json({ error: "Two-factor authentication is already on" });
+    if (!tf.pendingSecret) return res.status(400).json({ error: "Start setup first" });
+
+    const step = verifyTotp(tf.pendingSecret, req.body?.code);
+    if (step === null) return res.status(400).json({ error: "Invalid two-factor code" });
+
+    const { codes, hashes } = newRecoveryCodes();
+    tf.enabled = true;
+    tf.secret = tf.pendingSecret;
+    tf.pendingSecret = undefined;
+    tf.recoveryCodes = hashes;
+    tf.lastUsedStep = step;
+    tf.enabledAt = new Date();
+    await req.user.save();
+
+    // sessions signed in with just the password are dropped; this one already passed the code
+    await revokeAllSessions(req.app.get("chatNs"), req.user._id, "logout_all", req.authSession._id);
+
+    res.json({ enabled: true, recoveryCodes: codes });
+  } catch (err) {
+    console.error("2FA confirm error:", err);
+    res.status(500).json({ error: "Failed to enable two-factor authentication" });
+  }
+});
+
+// wrong passwords / codes below count against the same budget as /api/login,
+// so a stolen access token can't be used to guess the second factor
+const throttleKey = (req) => ({ email: req.user.email, ip: req.ip });
+
+// ♻️ Replace the recovery codes { code }
+router.post("/recovery-codes", async (req, res) => {
+  try {
+    const throttle = await checkThrottle("login", throttleKey(req));
+    if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter);
+    const check = await verifySecondFactor(req.user, req.body?.code);
+    if (check.error) {
+      await recordFailure("login", throttleKey(req));
+      return res.status(401).json({ error: check.error });
+    }
+
+    const { codes, hashes } = newRecoveryCodes();
+    req.user.twoFactor.recoveryCodes = hashes;
+    await req.user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    res.status(500).json({ error: "Failed to create recovery codes" });
+  }
+});
+
+// 🚫 Turn off { password, code }
+router.post("/disable", async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    if (!req.user.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor authentication is not on" });
+    const throttle = await checkThrottle("login", throttleKey(req));
+    if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter);
+    if (!password || !(await bcrypt.compare(password, req.user.password))) {
+      await recordFailure("login", throttleKey(req));
+      return res.status(401).json({ error: "Invalid password" });
+    }
+    const check = await verifySecondFactor(req.user, code);
+    if (check.error) {
+      await recordFailure("login", throttleKey(req));
+      return res.status(401).json({ error: check.error });
+    }
+
+    req.user.twoFactor = { enabled: false };
+    await req.user.save();
+
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ error: "Failed to disable two-factor authentication" });
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,6 @@ const express = require("express");
 const http = require("http");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const jwt = require("jsonwebtoken");
 const { Server } = require("socket.io");
 const multer = require("multer");
 const path = require("path");
@@ -19,6 +18,50 @@ const morgan = require("morgan");
 const User = require("./models/User");
 const Room = require("./models/Room");
 const Message = require("./models/Message");
+const { loadMemberRoom } = require("./utils/roomAccess");
+const { userRoom, MODERATION_ROOM, emitToUsers } = require("./utils/realtime");
+const { can, guardEvent } = require("./utils/permissions");
+const { toClientMessage } = require("./utils/messageFormat");
+const { parseLimit } = require("./utils/pagination");
+const { timelineFilter, populateHistory, fetchHistoryPage } = require("./utils/history");
+const { unreadCountsForUser, pushUnreadCounts, markRoomRead } = require("./utils/unread");
+const { collectChanges } = require("./utils/sync");
+const { CLUSTER_MODE, createPresenceStore, configureAdapter } = require("./utils/cluster");
+const { postMessage } = require("./utils/messaging");
+const { notifyMany } = require("./utils/notify");
+const { hideBlockedSenders, isBlockedBetween, emitExceptBlockers } = require("./utils/blocks");
+const { checkSocketEvent, recordViolation, startSpamGuardSweep } = require("./utils/spamGuard");
+const { startMessagePurge } = require("./jobs/messagePurge");
+const { startMessageScheduler } = require("./jobs/messageScheduler");
+const { startDigestMailer } = require("./jobs/digestMailer");
+const { startPollCloser } = require("./jobs/pollCloser");
+const { startPresenceSweep } = require("./jobs/presenceSweep");
+const { castVote } = require("./utils/polls");
+const {
+  LOGIN_CHALLENGE_TTL_SECONDS,
+  createSession,
+  authenticate,
+  sessionRoom,
+  issueLoginChallenge,
+  readLoginChallenge,
+} = require("./utils/sessions");
+const { verifySecondFactor } = require("./utils/twoFactor");
+const {
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  passwordMatches,
+  sendLockedEmail,
+  sendThrottled,
+} = require("./utils/authThrottle");
+const { authMiddleware, requireVerified } = require("./middleware/auth");
+const {
+  normalizeEmail,
+  validateRegistration,
+  sendVerificationEmail,
+  sendAlreadyRegisteredEmail,
+} = require("./utils/verification");
+const { PROFILE_FIELDS, defaultAvatarUrl, nameSearch, publicProfile } = require("./utils/profile");
 
 const passwordResetRoutes = require("./routes/passwordReset");
 
@@ -40,6 +83,14 @@ cloudinary.config({
 
 // App setup
 const app = express();
+// TRUST_PROXY: how req.ip is derived behind a reverse proxy / load balancer, e.g. "1"
+// (one hop), "loopback" or a subnet list. Unset = direct connections only; the rate
+// limiter and login throttling (utils/authThrottle) key on req.ip.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+app.set(
+  "trust proxy",
+  !TRUST_PROXY || TRUST_PROXY === "false" ? false : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+);
 app.use(helmet());
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.json());
@@ -64,6 +115,64 @@ app.use("/api/resources", resourceRoutes);
 
 app.use("/api/password", passwordResetRoutes);
 
+// --- EMAIL VERIFICATION ---
+const emailVerificationRoutes = require("./routes/emailVerification");
+app.use("/api/email", emailVerificationRoutes);
+
+// --- ROOM ADMIN ROUTES ---
+const roomRoutes = require("./routes/roomRoutes");
+app.use("/api/rooms", roomRoutes);
+
+// --- MESSAGE ROUTES (edit, delete, reactions, starred) ---
+const messageRoutes = require("./routes/messageRoutes");
+app.use("/api/messages", messageRoutes);
+
+// --- RECONNECT SYNC ---
+const syncRoutes = require("./routes/syncRoutes");
+app.use("/api/sync", syncRoutes);
+
+// --- MENTIONS FEED ---
+const mentionRoutes = require("./routes/mentionRoutes");
+app.use("/api/mentions", mentionRoutes);
+
+// --- NOTIFICATION CENTER ---
+const notificationRoutes = require("./routes/notificationRoutes");
+app.use("/api/notifications", notificationRoutes);
+
+// --- BLOCKED USERS / MUTED ROOMS ---
+const blockRoutes = require("./routes/blockRoutes");
+const muteRoutes = require("./routes/muteRoutes");
+app.use("/api/blocks", blockRoutes);
+app.use("/api/mutes", muteRoutes);
+
+// --- SESSIONS (refresh, logout, device list) ---
+const sessionRoutes = require("./routes/sessionRoutes");
+app.use("/api", sessionRoutes);
+
+// --- REPORTS / MODERATION QUEUE ---
+const moderationRoutes = require("./routes/moderationRoutes");
+app.use("/api/moderation", moderationRoutes);
+
+// --- MY PROFILE (edit, avatar) ---
+const profileRoutes = require("./routes/profileRoutes");
+app.use("/api/me", profileRoutes);
+
+// --- TWO-FACTOR AUTH (enrol / confirm / disable) ---
+const twoFactorRoutes = require("./routes/twoFactorRoutes");
+app.use("/api/2fa", twoFactorRoutes);
+
+// --- ADMIN (roles, user management) ---
+const adminRoutes = require("./routes/adminRoutes");
+app.use("/api/admin", adminRoutes);
+
+// --- EMAIL DIGEST ---
+const digestRoutes = require("./routes/digestRoutes");
+app.use("/api/digest", digestRoutes);
+
+// --- SCHEDULED MESSAGES ---
+const scheduledMessageRoutes = require("./routes/scheduledMessageRoutes");
+app.use("/api/scheduled-messages", scheduledMessageRoutes);
+
 // --- MONGOOSE CONNECT ---
 const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/chat-app";
 mongoose
@@ -84,7 +193,7 @@ mongoose
 const fs = require("fs");
 const upload = multer({ dest: "uploads/" }); // local temp folder
 
-app.post("/api/upload", authMiddleware, upload.array("files"), async (req, res) => {
+app.post("/api/upload", authMiddleware, requireVerified, upload.array("files"), async (req, res) => {
   try {
     const uploadedFiles = [];
 
@@ -143,90 +252,182 @@ app.post("/api/upload", authMiddleware, upload.array("files"), async (req, res)
 
 
 
-// --- JWT Helpers ---
-const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
-function signToken(user) {
-  return jwt.sign({ id: user._id.toString(), name: user.name }, JWT_SECRET, { expiresIn: "1d" });
-}
-async function authMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: "No token" });
-  const token = authHeader.split(" ")[1];
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(payload.id);
-    if (!user) return res.status(401).json({ error: "User not found" });
-    req.user = user;
-    next();
-  } catch (e) {
-    return res.status(401).json({ error: "Invalid token" });
-  }
-}
-
 // --- Start server & Socket.IO early so we can emit from endpoints ---
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: true, credentials: true },
 });
 const chatNs = io.of("/chat");
+// routers in ./routes reach the namespace through req.app.get("chatNs")
+app.set("chatNs", chatNs);
+
+// presence is shared by all instances in CHAT_CLUSTER_MODE=mongo (see utils/cluster)
+const presence = createPresenceStore();
+app.set("presence", presence);
 
 // --- Auth (register/login) ---
 app.post("/api/register", async (req, res) => {
-  const { name, email, password } = req.body;
+  const { password } = req.body;
+  const { name, email, error } = validateRegistration(req.body);
+  if (error) return res.status(400).json({ error });
+  // new or already taken, the answer is the same (and so is the work before it) so
+  // registration can't be used to find out which emails have accounts; the inbox
+  // gets either the verification link or a "you already have an account" note
+  const REGISTER_RESPONSE = { message: "Check your inbox to confirm your email address, then sign in" };
   try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const notices = await checkThrottle("register", { email });
     const existing = await User.findOne({ email });
     if (existing) {
-      return res.status(400).json({ error: "Email already registered" });
+      // a few notices, then a cooldown, so repeated signups can't flood the owner's inbox
+      if (!notices.retryAfter) {
+        recordFailure("register", { email })
+          .then(() => sendAlreadyRegisteredEmail(existing))
+          .catch((err) => console.error("Register notice email error:", err));
+      }
+      return res.status(202).json(REGISTER_RESPONSE);
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-
     const user = new User({
       name,
       email,
       password: hashedPassword,
-      avatarUrl: `https://i.pravatar.cc/150?u=${email}`,
+      avatarUrl: defaultAvatarUrl(email),
+      emailVerified: false,
     });
-    await user.save();
+    try {
+      await user.save();
+    } catch (saveErr) {
+      if (saveErr.code !== 11000) throw saveErr; // lost a race with another signup for the same email
+      return res.status(202).json(REGISTER_RESPONSE);
+    }
+
+    // signing in works right away, but rooms / uploads wait for the link (requireVerified)
+    sendVerificationEmail(user).catch((err) => console.error("Verification email error:", err));
 
-    const token = signToken(user);
-    console.log(token);
-    res.json({ user, token });
+    res.status(202).json(REGISTER_RESPONSE);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// counts a failed password / code; the owner is emailed when it locks their account
+async function recordFailedLogin(req, email, user) {
+  const { accountLockedUntil } = await recordFailure("login", { email, ip: req.ip });
+  if (accountLockedUntil && user) {
+    sendLockedEmail(user, accountLockedUntil).catch((err) => console.error("Lock email error:", err));
+  }
+}
+
 app.post("/api/login", async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  // stored the way /api/register saves it (trimmed, lower case)
+  const email = normalizeEmail(req.body.email);
   try {
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ error: "User not found" });
+    // unknown email and wrong password look the same, throttling included
+    const throttle = await checkThrottle("login", { email, ip: req.ip });
+    if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter);
+
+    const user = email ? await User.findOne({ email }) : null;
+    if (!(await passwordMatches(user, password))) {
+      await recordFailedLogin(req, email, user);
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    if (user.isSuspended()) {
+      return res.status(403).json({ error: "Account suspended", suspendedUntil: user.suspendedUntil || null });
+    }
 
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(401).json({ error: "Invalid password" });
+    // 2FA on: no session yet, the client trades the challenge + a code at /api/login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user),
+        expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+      });
+    }
 
-    const token = signToken(user);
-    
-    res.json({ user, token });
+    // only a complete sign-in resets the count (not the password half of a 2FA login)
+    await clearFailures("login", { email });
+    res.json({ user, ...(await createSession(user, req)) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// --- Users endpoint (initial sidebar data) ---
+// second login step { challengeToken, code } (TOTP or recovery code)
+app.post("/api/login/2fa", async (req, res) => {
+  const { challengeToken, code } = req.body || {};
+  try {
+    const userId = readLoginChallenge(challengeToken);
+    if (!userId) return res.status(401).json({ error: "Login expired, please sign in again" });
+    const user = await User.findById(userId);
+    if (!user || !user.twoFactor?.enabled) return res.status(401).json({ error: "Login expired, please sign in again" });
+    if (user.isSuspended()) {
+      return res.status(403).json({ error: "Account suspended", suspendedUntil: user.suspendedUntil || null });
+    }
+
+    // wrong codes count against the same per-account / per-IP budget as wrong passwords
+    const throttle = await checkThrottle("login", { email: user.email, ip: req.ip });
+    if (throttle.retryAfter) return sendThrottled(res, throttle.retryAfter);
+    const check = await verifySecondFactor(user, code);
+    if (check.error) {
+      await recordFailedLogin(req, user.email, user);
+      return res.status(401).json({ error: check.error });
+    }
+    await clearFailures("login", { email: user.email });
+
+    res.json({
+      user,
+      ...(await createSession(user, req)),
+      ...(check.method === "recovery" && { recoveryCodesLeft: check.recoveryCodesLeft }),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- User directory, by name (?q=name, ?stream=, ?semester=, ?department=, ?after=<userId>) ---
 app.get("/api/users", authMiddleware, async (req, res) => {
   try {
-    const users = await User.find({ _id: { $ne: req.user._id } }).select("name avatarUrl email");
-    // onlineUsers map is defined in socket block; we'll attach a helper to the namespace object later
-    const onlineUsersMap = chatNs.onlineUsersMap || new Map();
-    const list = users.map((u) => ({
-      _id: u._id,
-      name: u.name,
-      avatarUrl: u.avatarUrl,
-      online: onlineUsersMap.has(u._id.toString()),
-    }));
-    res.json(list);
+    const { q, stream, semester, department, after } = req.query;
+    const limit = parseLimit(req.query.limit, 30, 100);
+    // a repeated parameter (?q=a&q=b) arrives as an array
+    for (const [key, value] of Object.entries({ q, stream, semester, department, after })) {
+      if (value !== undefined && typeof value !== "string") {
+        return res.status(400).json({ error: `${key} must be a single value` });
+      }
+    }
+    if (semester && !/^\d+$/.test(semester)) return res.status(400).json({ error: "semester must be a number" });
+    if (after && !mongoose.Types.ObjectId.isValid(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = { _id: { $ne: req.user._id } };
+    if (q?.trim()) query.name = nameSearch(q);
+    if (stream) query.stream = stream.trim();
+    if (semester) query.semester = Number(semester);
+    if (department) query.department = department.trim();
+    if (after) {
+      const cursor = await User.findById(after).select("name");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      query.$or = [{ name: { $gt: cursor.name } }, { name: cursor.name, _id: { $gt: cursor._id } }];
+    }
+
+    const users = await User.find(query)
+      .select(PROFILE_FIELDS)
+      .sort({ name: 1, _id: 1 })
+      .limit(limit + 1);
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
+
+    const online = await presence.onlineAmong(users.map((u) => u._id));
+    const blocked = new Set(req.user.blockedUsers.map(String));
+    res.json({
+      users: users.map((u) => ({
+        ...publicProfile(u),
+        online: !blocked.has(u._id.toString()) && online.has(u._id.toString()),
+        blocked: blocked.has(u._id.toString()),
+      })),
+      hasMore,
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -234,24 +435,33 @@ app.get("/api/users", authMiddleware, async (req, res) => {
 
 // --- Rooms ---
 app.get("/api/rooms", authMiddleware, async (req, res) => {
-  // returning all rooms (change to filter by membership if desired)
-  const allRooms = await Room.find().populate("members", "name avatarUrl");
-  res.json(allRooms);
+  const myRooms = await Room.find({ members: req.user._id }).populate("members", "name avatarUrl");
+  res.json(myRooms);
 });
 
-app.post("/api/rooms", authMiddleware, async (req, res) => {
+app.post("/api/rooms", authMiddleware, requireVerified, async (req, res) => {
   const { name, members = [] } = req.body;
-  const uniqueMembers = Array.from(new Set([...members.map(String), req.user._id.toString()]));
-  const room = new Room({ name, members: uniqueMembers, isGroup: true });
+  const uniqueMembers = Array.from(new Set([req.user._id.toString(), ...members.map(String)]));
+  const room = new Room({ name, members: uniqueMembers, isGroup: true, owner: req.user._id });
   await room.save();
   await room.populate("members", "name avatarUrl");
-  chatNs.emit("room-upsert", room);
+  emitToUsers(chatNs, room.members, "room-upsert", room);
+  await notifyMany(chatNs, uniqueMembers, {
+    actor: req.user._id,
+    category: "roomAdded",
+    text: `${req.user.name} added you to ${name || "a group"}`,
+    data: { roomId: room._id },
+  });
   res.json(room);
 });
 
 // --- Private chat (find/create) ---
-app.post("/api/private", authMiddleware, async (req, res) => {
+app.post("/api/private", authMiddleware, requireVerified, async (req, res) => {
   const { targetId } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(targetId)) return res.status(400).json({ error: "Invalid user ID" });
+  if (await isBlockedBetween(req.user._id, targetId)) {
+    return res.status(403).json({ error: "You can't start a chat with this user" });
+  }
   let existing = await Room.findOne({
     isGroup: false,
     members: { $all: [req.user._id, targetId] },
@@ -261,268 +471,149 @@ app.post("/api/private", authMiddleware, async (req, res) => {
     const room = new Room({ members: [req.user._id, targetId], isGroup: false });
     await room.save();
     await room.populate("members", "name avatarUrl");
-    chatNs.emit("room-upsert", room);
+    emitToUsers(chatNs, room.members, "room-upsert", room);
     existing = room;
   }
   res.json(existing);
 });
 
 // --- Messages ---
+const MESSAGE_PAGE_SIZE = 50;
+const MESSAGE_PAGE_MAX = 100;
+
+/**
+ * Paginated room history.
+ * - no cursor: newest page
+ * - ?before=<messageId>: older page (infinite scroll up)
+ * - ?after=<messageId>: newer page (catching up)
+ * - ?around=<messageId>: the message with context on both sides (jump from search)
+ * Messages are always returned oldest -> newest; use the first id as the next `before`.
+ * `hasMore` means older messages exist (newer ones for `after`); `around` adds `hasNewer`.
+ * Thread replies not sent to the channel are left out (see GET /api/messages/:id/thread).
+ */
 app.get("/api/rooms/:roomId/messages", authMiddleware, async (req, res) => {
   const { roomId } = req.params;
+  const { before, after, around } = req.query;
 
   if (!mongoose.Types.ObjectId.isValid(roomId)) {
     return res.status(400).json({ error: "Invalid chat ID" });
   }
-
-  const msgs = await Message.find({ chat: roomId })
-  .populate("sender", "name avatarUrl")           // existing
-  .populate({
-    path: "replyTo",                             // <-- populate replyTo
-    populate: { path: "sender", select: "name avatarUrl" },
-  })
-  .sort({ createdAt: 1 });
-
-
-  res.json(msgs);
-});
-
-
-
-// DELETE a message
-app.delete("/api/messages/:messageId", authMiddleware, async (req, res) => {
-  const { messageId } = req.params;
-  console.log("Delete request.body:", req.body);
-  const { cloudinaryIds = [] } = req.body || {};
-  console.log("Delete message request:", messageId, cloudinaryIds);
-  // ✅ Validate ObjectId format
-  if (!mongoose.Types.ObjectId.isValid(messageId)) {
-    return res.status(400).json({ error: "Invalid message ID" });
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return res.status(400).json({ error: "Use only one of before, after or around" });
   }
-
-  try {
-    // ✅ Find the message in DB
-    const message = await Message.findById(messageId);
-    if (!message) return res.status(404).json({ error: "Message not found" });
-
-    // ✅ Only allow sender to delete their own message
-    if (message.sender.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: "Not authorized to delete this message" });
-    }
-
-    // ✅ Collect Cloudinary IDs to delete
-    const idsToDelete =
-      cloudinaryIds.length > 0
-        ? cloudinaryIds
-        : message.attachments?.map((a) => a.cloudinaryId).filter(Boolean) || [];
-
-    // ✅ Delete files from Cloudinary
-    if (idsToDelete.length > 0) {
-      for (const id of idsToDelete) {
-        try {
-          // Detect resource type from attachment info if available
-          const att = message.attachments?.find((a) => a.cloudinaryId === id);
-          let resourceType = "raw"; // default for pdf, docx, zip, etc.
-          if (att?.type === "image") resourceType = "image";
-          else if (att?.type === "video") resourceType = "video";
-
-          await cloudinary.uploader.destroy(id, { resource_type: resourceType });
-          console.log(`✅ Deleted Cloudinary file: ${id}`);
-        } catch (err) {
-          console.warn(`⚠️ Failed to delete Cloudinary file (${id}):`, err.message);
-        }
-      }
-    }
-
-    // ✅ Delete message from MongoDB
-    await message.deleteOne();
-
-    // ✅ Notify room via Socket.IO
-    chatNs.to(message.chat.toString()).emit("message-deleted", { messageId });
-
-    res.json({ status: "ok", messageId });
-  } catch (err) {
-    console.error("❌ Delete message error:", err);
-    res.status(500).json({ error: "Server error while deleting message" });
-  }
-});
-
-
-
-
-
-
-app.put("/api/messages/:messageId", authMiddleware, async (req, res) => {
-  const { messageId } = req.params;
-  const { content } = req.body;
-
-  if (!mongoose.Types.ObjectId.isValid(messageId)) {
-    return res.status(400).json({ error: "Invalid message ID" });
+  const cursorId = before || after || around;
+  if (cursorId && !mongoose.Types.ObjectId.isValid(cursorId)) {
+    return res.status(400).json({ error: "Invalid cursor" });
   }
+  const limit = parseLimit(req.query.limit, MESSAGE_PAGE_SIZE, MESSAGE_PAGE_MAX);
+  const format = (msgs) => msgs.map((m) => toClientMessage(m, req.user._id));
 
   try {
-    const message = await Message.findById(messageId);
-    if (!message) return res.status(404).json({ error: "Message not found" });
-
-    if (message.sender.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: "Not authorized to edit this message" });
+    const access = await loadMemberRoom(roomId, req.user._id, "_id");
+    if (access.error) return res.status(access.status).json({ error: access.error });
+    const filter = { ...timelineFilter(roomId), ...hideBlockedSenders(req.user) };
+
+    let cursor = null;
+    if (cursorId) {
+      cursor = await Message.findOne({ _id: cursorId, chat: roomId }).select("createdAt");
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
     }
 
-    message.content = content;
-    await message.save();
-    await message.populate("sender", "name avatarUrl");
-
-    chatNs.to(message.chat.toString()).emit("message-updated", message);
+    if (around) {
+      const half = Math.max(Math.floor(limit / 2), 1);
+      const older = await fetchHistoryPage(filter, cursor, "$lt", half);
+      const anchor = await populateHistory(Message.findById(cursor._id));
+      const newer = await fetchHistoryPage(filter, cursor, "$gt", half);
+      return res.json({
+        messages: format([...older.msgs, anchor, ...newer.msgs]),
+        hasMore: older.hasMore,
+        hasNewer: newer.hasMore,
+      });
+    }
 
-    res.json(message);
+    const { msgs, hasMore } = await fetchHistoryPage(filter, cursor, after ? "$gt" : "$lt", limit);
+    res.json({ messages: format(msgs), hasMore });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Fetch messages error:", err);
+    res.status(500).json({ error: "Failed to fetch messages" });
   }
 });
 
 
 
-// Favorite a message
-app.post("/api/messages/:messageId/favorite", authMiddleware, async (req, res) => {
-  const { messageId } = req.params;
-  try {
-    const message = await Message.findByIdAndUpdate(
-      messageId,
-      { $addToSet: { favorites: req.user._id } },
-      { new: true }
-    );
-    if (!message) return res.status(404).json({ error: "Message not found" });
-    chatNs.to(message.chat.toString()).emit("message-updated", message);
-    res.json(message);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-// Unfavorite a message
-app.post("/api/messages/:messageId/unfavorite", authMiddleware, async (req, res) => {
-  const { messageId } = req.params;
-  try {
-    const message = await Message.findByIdAndUpdate(
-      messageId,
-      { $pull: { favorites: req.user._id } },
-      { new: true }
-    );
-    if (!message) return res.status(404).json({ error: "Message not found" });
-    chatNs.to(message.chat.toString()).emit("message-updated", message);
-    res.json(message);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-
-
-
 // --- File Upload stub ---
 
 
 
 // --- Socket.IO Setup ---
-/**
- * onlineUsers: Map<userId, Set<socketId>>
- * We'll expose it as chatNs.onlineUsersMap for REST handlers (read-only usage).
- */
-const onlineUsers = new Map();
-chatNs.onlineUsersMap = onlineUsers;
-
-// typing timers per-socket to debounce typing notifications
+// typing timers per-socket to debounce typing notifications. A socket only ever
+// lives on one instance and socket.to() goes through the adapter, so these can
+// stay process-local.
 const typingTimers = new Map();
 
 chatNs.use(async (socket, next) => {
   const token = socket.handshake.auth?.token;
   if (!token) return next(new Error("No token"));
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(payload.id);
-    if (!user) return next(new Error("User not found"));
+    const { user, session, error } = await authenticate(token);
+    if (error) return next(new Error(error));
+    if (user.isSuspended()) return next(new Error("Account suspended"));
     socket.user = user;
+    socket.sessionId = session._id.toString();
     return next();
   } catch (e) {
     return next(new Error("Invalid token"));
   }
 });
 
-// helper: compute unread messages count for a specific user
+// helper: unread counts for a user, keyed by the other member of each private room
 async function computeUnreadCountsForUser(userId) {
-  // return a map userId -> count of unread messages from that user (in private rooms)
-  const users = await User.find({ _id: { $ne: userId } }).select("_id");
+  const rows = await unreadCountsForUser(userId);
   const result = new Map();
-  // For each other user, find private room and count unread from that user
-  await Promise.all(
-    users.map(async (u) => {
-      const privateRoom = await Room.findOne({
-        isGroup: false,
-        members: { $all: [userId, u._id] },
-      }).select("_id");
-      if (!privateRoom) {
-        result.set(u._id.toString(), 0);
-        return;
-      }
-      const count = await Message.countDocuments({
-        chat: privateRoom._id,
-        sender: u._id,
-        readBy: { $ne: userId },
-      });
-      result.set(u._id.toString(), count);
-    })
-  );
-  return result;
-}
-
-// helper: emit light user list to everyone (no unread counts)
-async function emitLightUserList() {
-  const users = await User.find().select("name avatarUrl");
-  const list = users.map((u) => ({
-    _id: u._id,
-    name: u.name,
-    avatarUrl: u.avatarUrl,
-    online: onlineUsers.has(u._id.toString()),
-  }));
-  chatNs.emit("user-list", list);
-}
-
-// helper: when presence changes, update others with presence and light user list
-async function broadcastPresenceChange(userId, online) {
-  // broadcast presence to all other sockets
-  chatNs.emit("presence", { userId, online });
-  // re-emit light user-list so front-ends can update online flags more easily
-  await emitLightUserList();
+  for (const row of rows) {
+    if (row.isGroup) continue;
+    const other = row.members.find((m) => m.toString() !== userId.toString());
+    if (other) result.set(other.toString(), row.unreadCount);
+  }
+  return { byUser: result, rows };
 }
 
 chatNs.on("connection", async (socket) => {
   const user = socket.user;
   const uid = user._id.toString();
 
-  // multiple sockets per user supported
-  const set = onlineUsers.get(uid) || new Set();
-  set.add(socket.id);
-  onlineUsers.set(uid, set);
+  // personal room: lets REST handlers reach every socket of this user;
+  // session room: lets logout / revocation drop the sockets of one login
+  socket.join(userRoom(uid));
+  socket.join(sessionRoom(socket.sessionId));
 
-  // Notify others (broadcast) that this user is online
-  socket.broadcast.emit("presence", { userId: uid, online: true });
-  // also emit an updated light user list to everyone (so their online flags update)
-  await emitLightUserList();
+  // multiple sockets per user supported; only the first one flips presence.
+  // Others get just this delta; nobody is sent the whole user list again.
+  try {
+    const cameOnline = await presence.addSocket(uid, socket.id);
+    if (cameOnline) await emitExceptBlockers(socket.broadcast, uid, "presence", { userId: uid, online: true });
+  } catch (err) {
+    console.error("Presence update error:", err);
+  }
 
-  // Send personalized user list (including unread counts) only to this socket
+  // Contacts (everyone I share a room with, plus unread counts) only to this socket;
+  // anyone else is looked up through GET /api/users
   try {
-    const allUsers = await User.find({}).select("name avatarUrl");
-    const unreadMap = await computeUnreadCountsForUser(uid);
-    const personalized = allUsers
-      .filter((u) => u._id.toString() !== uid)
-      .map((u) => ({
-        _id: u._id,
-        name: u.name,
-        avatarUrl: u.avatarUrl,
-        online: onlineUsers.has(u._id.toString()),
-        unreadCount: unreadMap.get(u._id.toString()) || 0,
-      }));
+    const contactIds = await Room.find({ members: uid }).distinct("members");
+    const contacts = await User.find({ _id: { $in: contactIds, $ne: uid } }).select(PROFILE_FIELDS);
+    const online = await presence.onlineAmong(contacts.map((u) => u._id));
+    const { byUser: unreadMap, rows } = await computeUnreadCountsForUser(uid);
+    const blocked = new Set(user.blockedUsers.map(String));
+    const personalized = contacts.map((u) => ({
+      ...publicProfile(u),
+      online: !blocked.has(u._id.toString()) && online.has(u._id.toString()),
+      blocked: blocked.has(u._id.toString()),
+      unreadCount: unreadMap.get(u._id.toString()) || 0,
+    }));
     socket.emit("user-list", personalized);
+    for (const row of rows) {
+      socket.emit("room-unread", { chatId: row._id, unreadCount: row.unreadCount, muted: row.muted });
+    }
   } catch (err) {
     console.error("Error preparing personalized user-list:", err);
   }
@@ -532,71 +623,84 @@ chatNs.on("connection", async (socket) => {
   // socket.emit('rooms', rooms);
 
   // Socket event handlers
-  socket.on("join-chat", (roomId) => {
-    socket.join(roomId);
+  // structured ack error for a spam-guard violation; every tab hears when it turned into a mute
+  function rejectViolation(violation, ack) {
+    if (violation.mutedUntil && violation.code !== "muted") {
+      chatNs.to(userRoom(uid)).emit("send-muted", { until: violation.mutedUntil, reason: violation.code });
+    }
+    if (typeof ack === "function") ack({ status: "error", ...violation });
+  }
+
+  // every incoming event passes the spam guard first (budgets can name any event, see SOCKET_RATE_LIMITS)
+  socket.use(async ([event, ...args], next) => {
+    const payload = args[0];
+    const opts = event === "send-message" ? { chatId: payload?.chatId, content: payload?.content } : {};
+    let violation;
+    try {
+      violation = await checkSocketEvent(uid, event, opts);
+    } catch (err) {
+      console.error("Spam guard error:", err); // never lose chat traffic to a counter hiccup
+    }
+    if (!violation) return next();
+    rejectViolation(violation, args[args.length - 1]);
+  });
+
+  // only members may subscribe to a room's traffic
+  socket.on("join-chat", async (roomId, ack) => {
+    try {
+      const { error } = await loadMemberRoom(roomId, user._id, "_id");
+      if (error) {
+        if (typeof ack === "function") ack({ status: "error", error });
+        return;
+      }
+      socket.join(roomId.toString());
+      if (typeof ack === "function") ack({ status: "ok" });
+    } catch (err) {
+      console.error("join-chat error:", err);
+      if (typeof ack === "function") ack({ status: "error", error: err.message });
+    }
   });
 
   socket.on("leave-chat", (roomId) => {
     socket.leave(roomId);
   });
 
+  // moderators follow the report queue live (report-filed); the role is re-read on every join
+  socket.on(
+    "join-moderation",
+    guardEvent(socket, can("moderation:review"), (ack) => {
+      socket.join(MODERATION_ROOM);
+      if (typeof ack === "function") ack({ status: "ok" });
+    })
+  );
+
+  socket.on("leave-moderation", () => {
+    socket.leave(MODERATION_ROOM);
+  });
+
   
   socket.on("send-message", async (payload, ack) => {
     try {
-      const { chatId, content, attachments = [], clientTempId, forwarded = false, replyTo = null } = payload;
-
-      const replyId = replyTo?._id || replyTo || null;
-          console.log("attachments:", attachments);
-      const msgDoc = new Message({
-        chat: chatId,
-        sender: user._id,
-        content,
-        attachments, // already supports uploaded files
-        readBy: [user._id],
-        forwarded,
-        replyTo: replyId,
-      });
-
-      await msgDoc.save();
-      await msgDoc.populate("sender", "name avatarUrl");
-
-      // Populate replyTo if exists
-      if (replyId) {
-        await msgDoc.populate({
-          path: "replyTo",
-          select: "content sender attachments",
-          populate: { path: "sender", select: "name avatarUrl" },
-        });
-
-        // Ensure attachments have type
-        if (msgDoc.replyTo.attachments?.length) {
-          msgDoc.replyTo.attachments = msgDoc.replyTo.attachments.map(att => ({
-            ...(att.toObject ? att.toObject() : att),
-            type: att.type || "other",
-          }));
-        }
+      const result = await postMessage({ nsp: chatNs, presence }, user._id, payload || {});
+      if (result.code === "content_blocked") {
+        const mutedUntil = await recordViolation(uid);
+        return rejectViolation({ error: result.error, code: result.code, ...(mutedUntil && { mutedUntil }) }, ack);
+      }
+      if (result.error) {
+        if (ack) ack({ status: "error", error: result.error });
+        return;
       }
-
-      // Convert to plain object and include clientTempId
-      const msgObj = { ...msgDoc.toObject(), clientTempId };
-
-      // Emit to room
-      chatNs.to(chatId).emit("new-message", msgObj);
 
       // Send back ack with the same plain object so frontend can update status
-      if (ack) ack({ status: "ok", message: msgObj });
+      if (ack) ack({ status: "ok", message: result.message });
     } catch (err) {
       console.error("send-message error:", err);
       if (ack) ack({ status: "error", error: err.message });
     }
   });
 
-
-
-
-
   // typing with debounce to avoid spam
-  socket.on("typing", ({ chatId, isTyping }) => {
+  socket.on("typing", ({ chatId, isTyping } = {}) => {
     // broadcast to other participants in chat
     socket.to(chatId).emit("typing", { userId: uid, isTyping });
 
@@ -614,62 +718,94 @@ chatNs.on("connection", async (socket) => {
     }
   });
 
-  socket.on("message-read", async ({ chatId, messageId }) => {
+  // mark the room read up to messageId (default: latest); the cursor only moves forward
+  async function handleMarkRead({ chatId, messageId } = {}, ack) {
+    const reply = typeof ack === "function" ? ack : () => {};
     try {
-      const updated = await Message.findByIdAndUpdate(
-        messageId,
-        { $addToSet: { readBy: user._id } },
-        { new: true }
-      );
-      if (updated) {
-        chatNs.to(chatId).emit("message-read", { messageId, userId: uid });
-
-        // Optionally update unread counts for room members
-        try {
-          const unreadCount = await Message.countDocuments({
-            chat: chatId,
-            readBy: { $ne: uid },
-          });
-          const sockets = onlineUsers.get(uid);
-          if (sockets && sockets.size > 0) {
-            for (const sid of sockets) {
-              chatNs.to(sid).emit("user-unread", {
-                userId: uid,
-                chatId,
-                unreadCount,
-              });
-            }
-          }
-        } catch (e) {
-          // ignore
-        }
+      if (!mongoose.Types.ObjectId.isValid(chatId) || (messageId && !mongoose.Types.ObjectId.isValid(messageId))) {
+        return reply({ status: "error", error: "Invalid ID" });
       }
-    } catch (e) {
-      // ignore
+      const result = await markRoomRead(chatId, user._id, messageId);
+      if (result.error) return reply({ status: "error", error: result.error });
+
+      if (result.advanced) {
+        chatNs.to(chatId.toString()).emit("message-read", {
+          chatId,
+          messageId: result.lastReadMessageId,
+          userId: uid,
+          lastReadAt: result.lastReadAt,
+        });
+        await pushUnreadCounts(chatNs, uid, [chatId]);
+      }
+      reply({ status: "ok", lastReadAt: result.lastReadAt, lastReadMessageId: result.lastReadMessageId });
+    } catch (err) {
+      console.error("mark-read error:", err);
+      reply({ status: "error", error: err.message });
+    }
+  }
+
+  socket.on("mark-read", handleMarkRead);
+  // older clients send one message-read per message; same cursor semantics
+  socket.on("message-read", handleMarkRead);
+
+  // vote in a poll: { messageId, optionIds }; the room gets poll-updated, the ack my own view
+  socket.on("poll-vote", async ({ messageId, optionIds } = {}, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const result = await castVote(chatNs, user._id, messageId, optionIds);
+      if (result.error) return reply({ status: "error", error: result.error });
+      reply({ status: "ok", messageId, poll: result.poll });
+    } catch (err) {
+      console.error("poll-vote error:", err);
+      reply({ status: "error", error: err.message });
     }
   });
 
-  socket.on("disconnect", async () => {
-    // remove socket id
-    const set = onlineUsers.get(uid);
-    if (set) {
-      set.delete(socket.id);
-      if (set.size === 0) {
-        onlineUsers.delete(uid);
-        // broadcast offline presence
-        socket.broadcast.emit("presence", { userId: uid, online: false });
-        // re-emit light user list
-        await emitLightUserList();
-      } else {
-        onlineUsers.set(uid, set);
-      }
+  // catch up after a dropped connection: ack gets the GET /api/sync payload
+  socket.on("sync", async ({ since } = {}, ack) => {
+    if (typeof ack !== "function") return;
+    try {
+      const result = await collectChanges(user._id, since);
+      if (result.error) return ack({ status: "error", error: result.error });
+      ack({ status: "ok", ...result });
+    } catch (err) {
+      console.error("sync error:", err);
+      ack({ status: "error", error: err.message });
     }
+  });
+
+  socket.on("disconnect", async () => {
     // cleanup typing timer if any
     clearTimeout(typingTimers.get(socket.id));
     typingTimers.delete(socket.id);
+
+    // remove socket id; offline once the user's last socket (on any instance) is gone
+    try {
+      const wentOffline = await presence.removeSocket(uid, socket.id);
+      if (wentOffline) {
+        // broadcast offline presence
+        await emitExceptBlockers(socket.broadcast, uid, "presence", { userId: uid, online: false });
+      }
+    } catch (err) {
+      console.error("Presence update error:", err);
+    }
   });
 });
 
+// --- Background jobs ---
+startMessagePurge();
+startMessageScheduler({ nsp: chatNs, presence });
+startDigestMailer();
+startPollCloser(chatNs);
+startPresenceSweep(chatNs, presence);
+startSpamGuardSweep();
+
 // --- Start ---
+// in cluster mode, wait for the shared adapter so broadcasts reach every instance
 const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => console.log(`Chat server running on port ${PORT}`));
+configureAdapter(io)
+  .then(() => server.listen(PORT, () => console.log(`Chat server running on port ${PORT} (${CLUSTER_MODE} mode)`)))
+  .catch((err) => {
+    console.error("Socket.IO adapter error:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+require("./helpers/setup");
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const AuthThrottle = require("../models/AuthThrottle");
+const { checkThrottle, recordFailure, clearFailures } = require("../utils/authThrottle");
+
+// in-memory AuthThrottle that understands the updates recordFailure sends
+function fakeThrottleStore() {
+  const rows = new Map();
+  mock.method(AuthThrottle, "find", async ({ key }) => key.$in.map((k) => rows.get(k)).filter(Boolean));
+  mock.method(AuthThrottle, "findOneAndUpdate", async ({ key }, [{ $set }]) => {
+    const row = rows.get(key) || { _id: key, key, failures: 0, lockCount: 0 };
+    const windowStart = $set.failures.$cond[0].$gt[1];
+    row.failures = row.lastFailureAt > windowStart ? row.failures + 1 : 1;
+    row.lastFailureAt = $set.lastFailureAt;
+    rows.set(key, row);
+    return { ...row };
+  });
+  mock.method(AuthThrottle, "updateOne", async ({ _id, failures }, { $set, $inc }) => {
+    const row = rows.get(_id);
+    if (!row || row.failures < failures.$gte) return { modifiedCount: 0 };
+    Object.assign(row, $set);
+    row.lockCount += $inc.lockCount;
+    return { modifiedCount: 1 };
+  });
+  mock.method(AuthThrottle, "deleteOne", async ({ key }) => rows.delete(key));
+  return rows;
+}
+
+async function fail(scope, who, times) {
+  let last = {};
+  for (let i = 0; i < times; i++) last = await recordFailure(scope, who);
+  return last;
+}
+
+describe("authThrottle", () => {
+  let rows;
+  beforeEach(() => (rows = fakeThrottleStore()));
+  afterEach(() => mock.restoreAll());
+
+  const who = { email: "Student@Example.edu ", ip: "10.0.0.1" };
+
+  it("lets the first few wrong passwords through, then backs off", async () => {
+    await fail("login", who, 2);
+    assert.deepEqual(await checkThrottle("login", who), {});
+    await fail("login", who, 1);
+    assert.equal((await checkThrottle("login", who)).retryAfter, 1);
+  });
+
+  it("locks the account on the tenth failure and says until when", async () => {
+    assert.equal((await fail("login", who, 9)).accountLockedUntil, undefined);
+    const { accountLockedUntil } = await recordFailure("login", who);
+    assert.ok(accountLockedUntil > new Date(Date.now() + 14 * 60 * 1000));
+
+    const { retryAfter } = await checkThrottle("login", { email: "student@example.edu" });
+    assert.ok(retryAfter > 14 * 60);
+  });
+
+  it("only ever backs an IP off, never locks it", async () => {
+    await fail("login", { ip: who.ip }, 40);
+    const row = rows.get(`login:ip:${who.ip}`);
+    assert.equal(row.lockedUntil, undefined);
+    assert.ok((await checkThrottle("login", { ip: who.ip })).retryAfter <= 10);
+  });
+
+  it("keys accounts by the normalized email and wipes them on success", async () => {
+    await fail("login", { email: "  STUDENT@example.edu" }, 3);
+    assert.ok((await checkThrottle("login", { email: "student@example.edu" })).retryAfter);
+    await clearFailures("login", { email: "Student@Example.edu" });
+    assert.deepEqual(await checkThrottle("login", { email: "student@example.edu" }), {});
+  });
+
+  it("ignores an email that isn't a string", async () => {
+    await fail("login", { email: { $ne: "" } }, 20);
+    assert.equal(rows.size, 0);
+  });
+
+  it("caps already-registered notices per account", async () => {
+    const owner = { email: "owner@example.edu" };
+    await recordFailure("register", owner);
+    assert.ok((await checkThrottle("register", owner)).retryAfter);
+    const { accountLockedUntil } = await fail("register", owner, 2);
+    assert.ok(accountLockedUntil);
+  });
+});
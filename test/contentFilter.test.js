@@ -0,0 +1,76 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const messageRoutes = require("../routes/messageRoutes");
+const { createContentFilter } = require("../utils/contentFilter");
+
+const id = () => new mongoose.Types.ObjectId();
+
+function fakeRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+describe("createContentFilter", () => {
+  const filter = createContentFilter({ words: ["darn"], domains: ["spam.example"] });
+
+  it("masks listed words whole-word, in any case", () => {
+    assert.deepEqual(filter("Darn it, darning socks"), { content: "**** it, darning socks", masked: true });
+  });
+
+  it("masks links to listed domains and their subdomains only", () => {
+    const { content, masked } = filter("see https://spam.example/x www.cdn.spam.example and https://notspam.example");
+    assert.equal(content, "see [link removed] [link removed] and https://notspam.example");
+    assert.equal(masked, true);
+  });
+
+  it("leaves clean text alone", () => {
+    assert.deepEqual(filter("all good"), { content: "all good", masked: false });
+    assert.deepEqual(filter(""), { content: "", masked: false });
+  });
+
+  it("refuses the whole message in reject mode", () => {
+    const reject = createContentFilter({ words: ["darn"], action: "reject" });
+    assert.deepEqual(reject("oh DARN"), { error: "Message contains blocked words or links", code: "content_blocked" });
+    assert.deepEqual(reject("oh well"), { content: "oh well", masked: false });
+  });
+});
+
+describe("PUT /api/messages/:messageId", () => {
+  afterEach(() => mock.restoreAll());
+
+  const editLayer = messageRoutes.stack.find((layer) => layer.route?.path === "/:messageId" && layer.route.methods.put);
+  const edit = editLayer.route.stack.at(-1).handle;
+
+  async function put(messageId, body, user = { _id: id() }) {
+    const res = fakeRes();
+    await edit({ params: { messageId: String(messageId) }, body, user, app: { get: () => null } }, res);
+    return res;
+  }
+
+  it("answers 400 for content that isn't text, before loading anything", async () => {
+    const lookups = mock.method(Message, "findById", async () => null);
+    for (const content of [{ $gt: "" }, ["hi"], 42]) {
+      const res = await put(id(), { content });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, "Content must be text");
+    }
+    assert.equal(lookups.mock.callCount(), 0);
+  });
+
+  it("checks the message is the caller's before filtering the new text", async () => {
+    const editor = id();
+    const message = new Message({ chat: id(), sender: id(), content: "hi" });
+    mock.method(Message, "findById", async () => message);
+    mock.method(Room, "findById", async () => ({ members: [editor, message.sender] }));
+
+    const res = await put(message._id, { content: "hello" }, { _id: editor });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "Not authorized to edit this message");
+  });
+});
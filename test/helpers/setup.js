@@ -0,0 +1,6 @@
+// test/helpers/setup.js
+// Required first by every test file. There is no MongoDB in unit tests: model
+// calls a test didn't stub fail right away instead of buffering forever.
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
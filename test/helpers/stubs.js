@@ -0,0 +1,30 @@
+// test/helpers/stubs.js
+const http = require("http");
+
+// local HTTP server for fetch tests; handler(req, res) as in http.createServer
+async function startStubServer(handler, host = "127.0.0.1") {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, host, resolve));
+  const { port } = server.address();
+  return {
+    url: `http://${host}:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// stands in for a Socket.IO namespace / room target and records every emit
+// (and the rooms whose sockets were disconnected)
+function fakeNamespace() {
+  const emitted = [];
+  const disconnected = [];
+  const target = (rooms = [], except = []) => ({
+    to: (room) => target([...rooms, ...[].concat(room)], except),
+    in: (room) => target([...rooms, ...[].concat(room)], except),
+    except: (room) => target(rooms, [...except, ...[].concat(room)]),
+    emit: (event, payload) => emitted.push({ event, payload, rooms, except }),
+    disconnectSockets: () => disconnected.push(...rooms),
+  });
+  return { ...target(), emitted, disconnected };
+}
+
+module.exports = { startStubServer, fakeNamespace };
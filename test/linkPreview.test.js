@@ -0,0 +1,227 @@
+require("./helpers/setup");
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const LinkPreview = require("../models/LinkPreview");
+const User = require("../models/User");
+const {
+  isPrivateAddress,
+  createHttpFetcher,
+  setLinkPreviewFetcher,
+  extractUrls,
+  parseMetadata,
+  attachLinkPreviews,
+} = require("../utils/linkPreview");
+const { startStubServer, fakeNamespace } = require("./helpers/stubs");
+
+const OG_PAGE = `<!doctype html><html><head>
+  <title>Plain title</title>
+  <meta property="og:title" content="Data Structures &amp; Algorithms">
+  <meta property="og:description" content='Week 3 &quot;trees&quot; notes'>
+  <meta property="og:image" content="/img/cover.png">
+  <meta property="og:site_name" content="CS Dept">
+</head><body></body></html>`;
+
+describe("parseMetadata", () => {
+  it("prefers Open Graph tags and resolves relative images", () => {
+    const meta = parseMetadata(OG_PAGE, "https://cs.example.edu/notes/3");
+    assert.equal(meta.title, "Data Structures & Algorithms");
+    assert.equal(meta.description, 'Week 3 "trees" notes');
+    assert.equal(meta.image, "https://cs.example.edu/img/cover.png");
+    assert.equal(meta.siteName, "CS Dept");
+  });
+
+  it("falls back to <title>, meta description and the hostname", () => {
+    const html = `<title>\n  Exam   timetable </title><meta name="description" content="Spring term">`;
+    const meta = parseMetadata(html, "https://exams.example.edu/");
+    assert.equal(meta.title, "Exam timetable");
+    assert.equal(meta.description, "Spring term");
+    assert.equal(meta.image, undefined);
+    assert.equal(meta.siteName, "exams.example.edu");
+  });
+});
+
+describe("extractUrls", () => {
+  it("strips trailing punctuation, dedupes and caps at three", () => {
+    const urls = extractUrls("see https://a.example/x. and (https://b.example/y) https://a.example/x https://c.example https://d.example");
+    assert.deepEqual(urls, ["https://a.example/x", "https://b.example/y", "https://c.example"]);
+  });
+});
+
+describe("isPrivateAddress", () => {
+  it("flags loopback, private, link-local and mapped addresses", () => {
+    for (const a of ["127.0.0.1", "10.1.2.3", "192.168.0.10", "169.254.169.254", "::1", "fe80::1", "::ffff:127.0.0.1"]) {
+      assert.equal(isPrivateAddress(a), true, a);
+    }
+    for (const a of ["93.184.216.34", "2606:4700::1111"]) assert.equal(isPrivateAddress(a), false, a);
+  });
+});
+
+describe("createHttpFetcher", () => {
+  let stub;
+  before(async () => {
+    stub = await startStubServer((req, res) => {
+      if (req.url === "/page") {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return res.end(OG_PAGE);
+      }
+      if (req.url === "/slow") {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.write("<title>");
+        return setTimeout(() => res.end("late</title>"), 1000).unref();
+      }
+      if (req.url === "/big") {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        return res.end(`<title>big</title>${"x".repeat(4096)}`);
+      }
+      if (req.url === "/pdf") {
+        res.writeHead(200, { "Content-Type": "application/pdf" });
+        return res.end("%PDF");
+      }
+      res.writeHead(404);
+      res.end();
+    });
+  });
+  after(() => stub.close());
+
+  it("fetches HTML that parses into a preview", async () => {
+    const page = await createHttpFetcher({ allowPrivateNetworks: true })(`${stub.url}/page`);
+    assert.equal(parseMetadata(page.html, page.url).title, "Data Structures & Algorithms");
+  });
+
+  it("gives up on a slow body after the timeout", async () => {
+    const fetchPage = createHttpFetcher({ allowPrivateNetworks: true, timeoutMs: 100 });
+    await assert.rejects(fetchPage(`${stub.url}/slow`), /timeout|abort|cancel/i);
+  });
+
+  it("refuses bodies over the size cap", async () => {
+    const fetchPage = createHttpFetcher({ allowPrivateNetworks: true, maxBytes: 1024 });
+    await assert.rejects(fetchPage(`${stub.url}/big`), /maxContentLength/);
+  });
+
+  it("refuses non-HTML responses", async () => {
+    await assert.rejects(createHttpFetcher({ allowPrivateNetworks: true })(`${stub.url}/pdf`), /Not an HTML page/);
+  });
+
+  it("refuses private addresses by default, literal or resolved", async () => {
+    const fetchPage = createHttpFetcher();
+    await assert.rejects(fetchPage(`${stub.url}/page`), /private address/);
+    await assert.rejects(fetchPage(stub.url.replace("127.0.0.1", "localhost") + "/page"), /private address/);
+  });
+});
+
+describe("createHttpFetcher redirects", () => {
+  let target;
+  let redirector;
+  let targetHits = 0;
+  before(async () => {
+    // the "internal" service lives on 127.0.0.1; the page linked from chat on 127.0.0.2
+    target = await startStubServer((req, res) => {
+      targetHits += 1;
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<title>internal admin</title>");
+    });
+    redirector = await startStubServer((req, res) => {
+      const location = req.url === "/to-name" ? target.url.replace("127.0.0.1", "localhost") : target.url;
+      res.writeHead(302, { Location: `${location}/` });
+      res.end();
+    }, "127.0.0.2");
+  });
+  after(async () => {
+    await target.close();
+    await redirector.close();
+  });
+
+  const onlyLoopbackOne = (address) => address === "127.0.0.1" || address === "::ffff:127.0.0.1";
+
+  it("refuses a redirect to 127.0.0.1", async () => {
+    const fetchPage = createHttpFetcher({ isBlockedAddress: onlyLoopbackOne });
+    await assert.rejects(fetchPage(`${redirector.url}/`), /private address/);
+    await assert.rejects(fetchPage(`${redirector.url}/to-name`), /private address/);
+    assert.equal(targetHits, 0);
+  });
+});
+
+describe("attachLinkPreviews", () => {
+  const senderId = new mongoose.Types.ObjectId();
+  const chatId = new mongoose.Types.ObjectId();
+
+  // Message.findById(...).populate(...) resolves to the message with the saved previews
+  function stubMessageStore(message) {
+    mock.method(Message, "updateOne", async (filter, update) => {
+      message.linkPreviews = update.$set.linkPreviews;
+      return { modifiedCount: 1 };
+    });
+    mock.method(Message, "findById", () => ({ populate: async () => message }));
+    mock.method(User, "find", () => ({ distinct: async () => [] })); // nobody blocked the sender
+  }
+
+  function newMessage(content) {
+    const message = new Message({ chat: chatId, sender: senderId, content });
+    message.sender = { _id: senderId, name: "Asha" };
+    return message;
+  }
+
+  afterEach(() => {
+    mock.restoreAll();
+    setLinkPreviewFetcher();
+  });
+
+  it("fetches, caches and pushes message-updated with linkPreviews", async () => {
+    const url = "https://cs.example.edu/notes/3";
+    const fetcher = mock.fn(async () => ({ html: OG_PAGE, url }));
+    setLinkPreviewFetcher(fetcher);
+    mock.method(LinkPreview, "findOne", async () => null);
+    const cacheWrite = mock.method(LinkPreview, "findOneAndUpdate", async (filter, update) => ({ ...update.$set }));
+    const message = newMessage(`notes: ${url}`);
+    stubMessageStore(message);
+    const nsp = fakeNamespace();
+
+    await attachLinkPreviews(nsp, message);
+
+    assert.equal(fetcher.mock.callCount(), 1);
+    assert.equal(cacheWrite.mock.calls[0].arguments[1].$set.ok, true);
+    assert.equal(nsp.emitted.length, 1);
+    const { event, payload, rooms } = nsp.emitted[0];
+    assert.equal(event, "message-updated");
+    assert.deepEqual(rooms, [chatId.toString()]);
+    assert.equal(payload.linkPreviews.length, 1);
+    assert.equal(payload.linkPreviews[0].url, url);
+    assert.equal(payload.linkPreviews[0].title, "Data Structures & Algorithms");
+    assert.equal(payload.linkPreviews[0].image, "https://cs.example.edu/img/cover.png");
+  });
+
+  it("uses the cache instead of fetching again", async () => {
+    const url = "https://cs.example.edu/notes/4";
+    const fetcher = mock.fn(async () => assert.fail("should not fetch a cached URL"));
+    setLinkPreviewFetcher(fetcher);
+    mock.method(LinkPreview, "findOne", async () => ({ url, ok: true, title: "Cached notes", siteName: "CS Dept" }));
+    const message = newMessage(url);
+    stubMessageStore(message);
+    const nsp = fakeNamespace();
+
+    await attachLinkPreviews(nsp, message);
+
+    assert.equal(fetcher.mock.callCount(), 0);
+    assert.equal(nsp.emitted[0].payload.linkPreviews[0].title, "Cached notes");
+  });
+
+  it("caches failed fetches and emits nothing when there is no preview", async () => {
+    setLinkPreviewFetcher(async () => {
+      throw new Error("boom");
+    });
+    mock.method(console, "warn", () => {});
+    mock.method(LinkPreview, "findOne", async () => null);
+    const cacheWrite = mock.method(LinkPreview, "findOneAndUpdate", async (filter, update) => ({ ...update.$set }));
+    const message = newMessage("https://dead.example/");
+    const update = mock.method(Message, "updateOne", async () => ({ modifiedCount: 0 }));
+    const nsp = fakeNamespace();
+
+    await attachLinkPreviews(nsp, message);
+
+    assert.equal(cacheWrite.mock.calls[0].arguments[1].$set.ok, false);
+    assert.deepEqual(update.mock.calls[0].arguments[1].$set.linkPreviews, []);
+    assert.equal(nsp.emitted.length, 0);
+  });
+});
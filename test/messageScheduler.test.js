@@ -0,0 +1,168 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const User = require("../models/User");
+const { nextOccurrence, occurrenceKey, fireDueMessages } = require("../jobs/messageScheduler");
+const scheduledMessageRoutes = require("../routes/scheduledMessageRoutes");
+const { fakeNamespace } = require("./helpers/stubs");
+
+// fires each occurrence in turn, like the scheduler does
+function series(job, count) {
+  const out = [];
+  let sendAt = job.sendAt;
+  for (let i = 0; i < count; i++) {
+    sendAt = nextOccurrence({ ...job, sendAt }, sendAt);
+    out.push(sendAt?.toISOString() ?? null);
+  }
+  return out;
+}
+
+describe("nextOccurrence", () => {
+  it("keeps the 31st as the last day of shorter months", () => {
+    const anchorAt = new Date("2026-01-31T09:00:00Z");
+    const job = { anchorAt, sendAt: anchorAt, repeat: { every: "month", interval: 1 } };
+    assert.deepEqual(series(job, 3), [
+      "2026-02-28T09:00:00.000Z",
+      "2026-03-31T09:00:00.000Z",
+      "2026-04-30T09:00:00.000Z",
+    ]);
+  });
+
+  it("keeps the local time across a DST change", () => {
+    // Monday 08:00 in Berlin: 07:00Z in winter, 06:00Z once summer time starts (29 March)
+    const anchorAt = new Date("2026-03-23T07:00:00Z");
+    const job = { anchorAt, sendAt: anchorAt, repeat: { every: "week" }, timezone: "Europe/Berlin" };
+    assert.deepEqual(series(job, 2), ["2026-03-30T06:00:00.000Z", "2026-04-06T06:00:00.000Z"]);
+  });
+
+  it("skips missed occurrences and stops after until", () => {
+    const anchorAt = new Date("2026-03-23T07:00:00Z");
+    const daily = { anchorAt, sendAt: anchorAt, repeat: { every: "day", interval: 2 }, timezone: "Europe/Berlin" };
+    assert.equal(nextOccurrence(daily, new Date("2026-06-01T12:00:00Z")).toISOString(), "2026-06-03T06:00:00.000Z");
+
+    const ending = { ...daily, repeat: { every: "day", until: new Date("2026-03-24T00:00:00Z") } };
+    assert.equal(nextOccurrence(ending, anchorAt), null);
+    assert.equal(nextOccurrence({ anchorAt, sendAt: anchorAt }, anchorAt), null);
+  });
+});
+
+describe("fireDueMessages", () => {
+  afterEach(() => mock.restoreAll());
+
+  function dailyJob() {
+    const sendAt = new Date(Date.now() - 1000);
+    return new ScheduledMessage({
+      sender: new mongoose.Types.ObjectId(),
+      chat: new mongoose.Types.ObjectId(),
+      content: "standup",
+      sendAt,
+      anchorAt: sendAt,
+      repeat: { every: "day" },
+    });
+  }
+
+  // the scheduler claims `job` once; every later update lands in the returned list
+  function stubJobs(job, sender) {
+    let claimed = false;
+    const updates = [];
+    mock.method(ScheduledMessage, "findOneAndUpdate", async (filter, update) => {
+      if (filter.status) return claimed ? null : ((claimed = true), job);
+      updates.push({ filter, update });
+      return null;
+    });
+    mock.method(User, "findById", () => ({ select: async () => sender }));
+    return updates;
+  }
+
+  const member = () => new User({ name: "Ada", email: "ada@example.edu", password: "x", emailVerified: true });
+
+  it("moves the job on without posting again when the occurrence was already posted", async () => {
+    const job = dailyJob();
+    const { sendAt } = job;
+    const updates = stubJobs(job, member());
+    const lookups = [];
+    mock.method(Message, "findOne", (filter) => {
+      lookups.push(filter);
+      return { select: async () => ({ _id: new mongoose.Types.ObjectId(), chat: job.chat }) };
+    });
+    const save = mock.method(Message.prototype, "save", async () => {});
+
+    await fireDueMessages({ nsp: fakeNamespace(), presence: null });
+
+    assert.deepEqual(lookups, [{ idempotencyKey: occurrenceKey(job) }]);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(updates.length, 1);
+    assert.deepEqual(updates[0].filter, { _id: job._id, sendAt });
+    assert.equal(updates[0].update.$set.status, "scheduled");
+    assert.ok(updates[0].update.$set.sendAt > sendAt);
+    assert.equal(updates[0].update.$inc, undefined);
+  });
+
+  it("skips the occurrence of a suspended sender without posting", async () => {
+    const job = dailyJob();
+    const { sendAt } = job;
+    const sender = member();
+    sender.suspendedAt = new Date();
+    const updates = stubJobs(job, sender);
+    const lookups = mock.method(Message, "findOne", () => ({ select: async () => null }));
+    const save = mock.method(Message.prototype, "save", async () => {});
+
+    await fireDueMessages({ nsp: fakeNamespace(), presence: null });
+
+    assert.equal(lookups.mock.callCount(), 0);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(updates[0].update.$set.lastError, "Sender is suspended");
+    assert.ok(updates[0].update.$set.sendAt > sendAt);
+    assert.equal(updates[0].update.$set.status, undefined);
+  });
+
+  it("fails a one-off message whose sender is no longer verified", async () => {
+    const job = dailyJob();
+    job.repeat = undefined;
+    const sender = member();
+    sender.emailVerified = false;
+    const updates = stubJobs(job, sender);
+
+    await fireDueMessages({ nsp: fakeNamespace(), presence: null });
+
+    assert.deepEqual(updates[0].update.$set, { status: "failed", lastError: "Sender's email address is not verified" });
+  });
+});
+
+describe("POST /api/scheduled-messages", () => {
+  afterEach(() => mock.restoreAll());
+
+  const createLayer = scheduledMessageRoutes.stack.find(
+    (layer) => layer.route?.path === "/" && layer.route.methods.post
+  );
+  const create = createLayer.route.stack.at(-1).handle;
+
+  async function post(body) {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => ((res.statusCode = code), res);
+    res.json = (payload) => ((res.body = payload), res);
+    await create({ body, user: { _id: new mongoose.Types.ObjectId() } }, res);
+    return res;
+  }
+
+  it("answers 400 for malformed fields before touching the database", async () => {
+    const counted = mock.method(ScheduledMessage, "countDocuments", async () => 0);
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const chatId = new mongoose.Types.ObjectId().toString();
+    const cases = [
+      [{ content: { $ne: "" } }, "content must be text"],
+      [{ content: "hi", attachments: "photo.png" }, "attachments must be a list of uploaded files"],
+      [{ attachments: [{ url: "https://x/y.png", type: "exe" }] }, "attachments must be a list of uploaded files"],
+      [{ content: "hi", kind: "poll" }, "kind must be one of: text, announcement"],
+    ];
+    for (const [fields, error] of cases) {
+      const res = await post({ chatId, sendAt, ...fields });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, error);
+    }
+    assert.equal(counted.mock.callCount(), 0);
+  });
+});
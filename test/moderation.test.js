@@ -0,0 +1,102 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Report = require("../models/Report");
+const Message = require("../models/Message");
+const ModerationAction = require("../models/ModerationAction");
+const moderationRoutes = require("../routes/moderationRoutes");
+const { decisionProblem } = require("../utils/moderation");
+const { userRoom } = require("../utils/realtime");
+const { fakeNamespace } = require("./helpers/stubs");
+
+const id = () => new mongoose.Types.ObjectId();
+
+function fakeRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+// the route's own handler, past authMiddleware and can()
+const decisionLayer = moderationRoutes.stack.find((layer) => layer.route?.path === "/reports/:id/decision");
+const decide = decisionLayer.route.stack.at(-1).handle;
+
+async function postDecision(reportId, body) {
+  const nsp = fakeNamespace();
+  const req = {
+    params: { id: String(reportId) },
+    body,
+    user: { _id: id(), role: "moderator" },
+    app: { get: () => nsp },
+  };
+  const res = fakeRes();
+  await decide(req, res);
+  return Object.assign(res, { nsp });
+}
+
+describe("decisionProblem", () => {
+  it("accepts a missing note and an indefinite suspension", () => {
+    assert.equal(decisionProblem({}), null);
+    assert.equal(decisionProblem({ note: "spam", days: 7 }), null);
+  });
+
+  it("refuses notes the ModerationAction can't store", () => {
+    assert.match(decisionProblem({ note: "x".repeat(1001) }), /at most 1000/);
+    assert.match(decisionProblem({ note: { $gt: "" } }), /note must be text/);
+    assert.match(decisionProblem({ note: 5 }, "reason"), /^reason must be text/);
+  });
+
+  it("keeps days a whole number within a year", () => {
+    for (const days of [0, 1.5, "7", 366]) assert.match(decisionProblem({ days }), /days must be between/);
+  });
+});
+
+describe("POST /reports/:id/decision", () => {
+  afterEach(() => mock.restoreAll());
+
+  const report = () =>
+    new Report({ reporter: id(), targetType: "message", message: id(), author: id(), reason: "spam" });
+
+  it("answers 400 before touching anything when the note is too long", async () => {
+    const lookups = mock.method(Report, "findById", async () => report());
+    const suspends = mock.method(User, "updateOne", async () => {});
+
+    const res = await postDecision(id(), { action: "suspend", note: "x".repeat(1001) });
+    assert.equal(res.statusCode, 400);
+    assert.equal(lookups.mock.callCount(), 0);
+    assert.equal(suspends.mock.callCount(), 0);
+  });
+
+  it("logs the decision before suspending the author", async () => {
+    const open = report();
+    const order = [];
+    mock.method(Report, "findById", async () => open);
+    mock.method(User, "findById", () => ({ select: async () => ({ role: "student" }) }));
+    mock.method(Report, "findOneAndUpdate", async () => open);
+    mock.method(Report, "find", () => ({ distinct: async () => [] }));
+    mock.method(ModerationAction, "create", async (doc) => (order.push("logged"), doc));
+    mock.method(User, "updateOne", async () => order.push("suspended"));
+
+    const res = await postDecision(open._id, { action: "suspend", note: "repeat spam", days: 3 });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(order, ["logged", "suspended"]);
+    assert.deepEqual(res.nsp.disconnected, [userRoom(open.author.toString())]);
+    assert.ok(res.body.decision.suspendedUntil > new Date());
+  });
+
+  it("answers 409 without acting when another decision claimed the report first", async () => {
+    const open = report();
+    mock.method(Report, "findById", async () => open);
+    mock.method(Report, "findOneAndUpdate", async () => null);
+    const logged = mock.method(ModerationAction, "create", async (doc) => doc);
+    const hidden = mock.method(Message, "findById", async () => null);
+
+    const res = await postDecision(open._id, { action: "hide" });
+    assert.equal(res.statusCode, 409);
+    assert.equal(logged.mock.callCount(), 0);
+    assert.equal(hidden.mock.callCount(), 0);
+  });
+});
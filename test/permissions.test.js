@@ -0,0 +1,128 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Report = require("../models/Report");
+const { requireRole, can, guardEvent, hasPermission } = require("../utils/permissions");
+const { fileReport } = require("../utils/moderation");
+const { MODERATION_ROOM } = require("../utils/realtime");
+const { fakeNamespace } = require("./helpers/stubs");
+
+function fakeRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+}
+
+// what the handshake leaves on socket.user, and what User.findById sees now
+function fakeSocket(roleAtHandshake, roleNow) {
+  mock.method(User, "findById", () => ({ select: async () => (roleNow ? { role: roleNow } : null) }));
+  return { user: { _id: new mongoose.Types.ObjectId(), role: roleAtHandshake } };
+}
+
+// calls a guarded handler like socket.io would and resolves with what it did
+function emitTo(listener, ...args) {
+  return new Promise((resolve) => {
+    const handler = (...got) => resolve({ handled: got });
+    const ack = (reply) => resolve({ ack: reply });
+    listener.handler = handler;
+    listener(...args, ack);
+  });
+}
+
+describe("requireRole over Express", () => {
+  it("calls next for an allowed role", async () => {
+    let nexted = false;
+    const res = fakeRes();
+    await requireRole("admin")({ user: { role: "admin" } }, res, () => (nexted = true));
+    assert.equal(nexted, true);
+    assert.equal(res.body, null);
+  });
+
+  it("answers 403 otherwise", async () => {
+    let nexted = false;
+    const res = fakeRes();
+    await can("rooms:broadcast")({ user: { role: "student" } }, res, () => (nexted = true));
+    assert.equal(nexted, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, "forbidden");
+  });
+
+  it("refuses unknown permissions up front", () => {
+    assert.throws(() => can("rooms:destroy"), /Unknown permission/);
+  });
+});
+
+describe("guardEvent over Socket.IO", () => {
+  afterEach(() => mock.restoreAll());
+
+  const guarded = (socket) => {
+    const listener = guardEvent(socket, can("moderation:review"), (...args) => listener.handler(...args));
+    return listener;
+  };
+
+  it("runs the handler for a moderator", async () => {
+    const socket = fakeSocket("moderator", "moderator");
+    const result = await emitTo(guarded(socket), { since: 1 });
+    assert.equal(result.handled[0].since, 1);
+  });
+
+  it("re-reads the role, so a demotion applies to an open connection", async () => {
+    const socket = fakeSocket("moderator", "student");
+    const result = await emitTo(guarded(socket));
+    assert.deepEqual(result.ack, {
+      status: "error",
+      error: "You don't have permission to do that",
+      code: "forbidden",
+    });
+    assert.equal(socket.user.role, "student");
+  });
+
+  it("picks up a promotion without reconnecting", async () => {
+    const socket = fakeSocket("student", "admin");
+    const result = await emitTo(guarded(socket));
+    assert.ok(result.handled);
+  });
+
+  it("refuses a user that no longer exists", async () => {
+    const socket = fakeSocket("moderator", null);
+    const result = await emitTo(guarded(socket));
+    assert.equal(result.ack.code, "forbidden");
+  });
+});
+
+describe("report-filed", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("reaches the moderation room when a report is filed", async () => {
+    const nsp = fakeNamespace();
+    mock.method(Report, "exists", async () => null);
+    mock.method(Report, "create", async (doc) => ({
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date(),
+      ...doc,
+    }));
+
+    const message = new mongoose.Types.ObjectId();
+    const result = await fileReport(
+      nsp,
+      new mongoose.Types.ObjectId(),
+      { targetType: "message", message, author: new mongoose.Types.ObjectId(), snapshot: "spam" },
+      { reason: Report.REASONS[0] }
+    );
+
+    assert.ok(result.report);
+    assert.equal(nsp.emitted.length, 1);
+    assert.equal(nsp.emitted[0].event, "report-filed");
+    assert.deepEqual(nsp.emitted[0].rooms, [MODERATION_ROOM]);
+    assert.equal(nsp.emitted[0].payload.reportId, result.report._id);
+  });
+
+  it("counts moderators and admins as staff", () => {
+    assert.equal(hasPermission({ role: "moderator" }, "moderation:review"), true);
+    assert.equal(hasPermission({ role: "faculty" }, "moderation:review"), false);
+    assert.equal(hasPermission(null, "moderation:review"), false);
+  });
+});
@@ -0,0 +1,200 @@
+require("./helpers/setup");
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Presence = require("../models/Presence");
+const User = require("../models/User");
+const { createMemoryPresenceStore, createMongoPresenceStore } = require("../utils/presence");
+const { sweepStalePresence } = require("../jobs/presenceSweep");
+const { fakeNamespace } = require("./helpers/stubs");
+
+// just enough of the Presence model (one document per online user) for createMongoPresenceStore
+function fakePresenceModel() {
+  let docs = [];
+  const same = (a, b) => String(a) === String(b);
+  const socketMatches = (socket, cond) =>
+    Object.entries(cond).every(([key, c]) => (c && c.$lt ? socket[key] < c.$lt : same(socket[key], c)));
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, cond]) => {
+      if (key === "_id") return cond && cond.$in ? cond.$in.some((id) => same(id, doc._id)) : same(doc._id, cond);
+      if (key === "sockets.0") return doc.sockets.length > 0 === cond.$exists;
+      if (key === "sockets" && cond.$size !== undefined) return doc.sockets.length === cond.$size;
+      if (key === "sockets") return doc.sockets.some((sock) => socketMatches(sock, cond.$elemMatch));
+      return doc.sockets.some((sock) => same(sock[key.slice("sockets.".length)], cond)); // sockets._id, sockets.node
+    });
+  const copy = (doc) => doc && { ...doc, sockets: doc.sockets.map((sock) => ({ ...sock })) };
+  const apply = (doc, update, { arrayFilters = [] } = {}) => {
+    if (update.$push) doc.sockets.push({ ...update.$push.sockets });
+    if (update.$pull) doc.sockets = doc.sockets.filter((sock) => !socketMatches(sock, update.$pull.sockets));
+    for (const [key, value] of Object.entries(update.$set || {})) {
+      if (key === "seenAt") doc.seenAt = value;
+      else {
+        // "sockets.$[mine].seenAt" with arrayFilters [{ "mine.node": ... }]
+        const [[filterKey, node]] = Object.entries(arrayFilters[0]);
+        const mine = doc.sockets.filter((sock) => same(sock[filterKey.split(".")[1]], node));
+        mine.forEach((sock) => (sock.seenAt = value));
+      }
+    }
+  };
+  return {
+    async findOneAndUpdate(filter, update, options = {}) {
+      let doc = docs.find((d) => matches(d, filter));
+      if (!doc && !options.upsert) return null;
+      const before = copy(doc) || null;
+      if (!doc) docs.push((doc = { _id: filter._id, sockets: [] }));
+      apply(doc, update, options);
+      return options.new ? copy(doc) : before;
+    },
+    async updateMany(filter, update, options) {
+      docs.filter((d) => matches(d, filter)).forEach((d) => apply(d, update, options));
+    },
+    async exists(filter) {
+      return docs.some((d) => matches(d, filter)) ? { _id: "x" } : null;
+    },
+    async deleteOne(filter) {
+      const before = docs.length;
+      const i = docs.findIndex((d) => matches(d, filter));
+      if (i !== -1) docs.splice(i, 1);
+      return { deletedCount: before - docs.length };
+    },
+    async deleteMany(filter) {
+      docs = docs.filter((d) => !matches(d, filter));
+    },
+    async distinct(field, filter = {}) {
+      return docs.filter((d) => matches(d, filter)).map((d) => d[field]);
+    },
+  };
+}
+
+// makes every socket of `node` look like it stopped heartbeating long ago
+const ageNode = (model, node) =>
+  model.updateMany(
+    { "sockets.node": node },
+    { $set: { "sockets.$[old].seenAt": new Date(0) } },
+    { arrayFilters: [{ "old.node": node }] }
+  );
+
+const uid = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * The contract every presence store keeps. makeStores() resolves to two
+ * stores that share state the way two server instances would, plus
+ * killNode(store) which makes a store's sockets look abandoned (or null when
+ * the store type has no other instances).
+ */
+function presenceContract(name, makeStores) {
+  describe(`${name} presence store`, () => {
+    let a;
+    let b;
+    let killNode;
+    beforeEach(async () => {
+      ({ a, b, killNode } = await makeStores());
+    });
+    afterEach(async () => {
+      await a.close();
+      await b.close();
+    });
+
+    it("reports the first socket as coming online and the last as going offline", async () => {
+      const user = uid();
+      assert.equal(await a.addSocket(user, "s1"), true);
+      assert.equal(await a.addSocket(user, "s2"), false);
+      assert.equal(await a.isOnline(user), true);
+      assert.equal(await a.removeSocket(user, "s1"), false);
+      assert.equal(await a.removeSocket(user, "s2"), true);
+      assert.equal(await a.isOnline(user), false);
+    });
+
+    it("announces both transitions when a socket arrives while the last one leaves", async () => {
+      const user = uid();
+      await a.addSocket(user, "s1");
+      const [wentOffline, cameOnline] = await Promise.all([a.removeSocket(user, "s1"), a.addSocket(user, "s2")]);
+      assert.equal(wentOffline, true);
+      assert.equal(cameOnline, true);
+      assert.equal(await a.isOnline(user), true);
+    });
+
+    it("answers onlineAmong with id strings for the online subset only", async () => {
+      const [u1, u2, u3] = [uid(), uid(), uid()];
+      await a.addSocket(u1, "s1");
+      await a.addSocket(u3, "s3");
+      const online = await a.onlineAmong([u1, u2, u3]);
+      assert.deepEqual(Array.from(online).sort(), [u1, u3].sort());
+      assert.deepEqual(Array.from(await a.onlineAmong([])), []);
+    });
+
+    it("ignores removing a socket it never saw", async () => {
+      assert.equal(await a.removeSocket(uid(), "nope"), false);
+    });
+
+    it("sweeps nothing while every instance is alive", async () => {
+      await a.addSocket(uid(), "s1");
+      assert.deepEqual(await a.sweepStale(), []);
+    });
+
+    it("sweeps a dead instance's sockets and reports users left with none", async () => {
+      if (!killNode) return; // single-process store: nothing can die behind its back
+      const [gone, stillHere] = [uid(), uid()];
+      await a.addSocket(gone, "a1");
+      await a.addSocket(stillHere, "a2");
+      await b.addSocket(stillHere, "b1");
+      await killNode(a);
+
+      assert.deepEqual(await b.sweepStale(), [gone]);
+      assert.equal(await b.isOnline(gone), false);
+      assert.equal(await b.isOnline(stillHere), true);
+      assert.deepEqual(await b.sweepStale(), []); // already reported once
+    });
+  });
+}
+
+presenceContract("memory", async () => ({
+  a: createMemoryPresenceStore(),
+  b: createMemoryPresenceStore(),
+  killNode: null,
+}));
+
+presenceContract("mongo (fake collection)", async () => {
+  const model = fakePresenceModel();
+  return {
+    a: createMongoPresenceStore({ nodeId: "node-a", model }),
+    b: createMongoPresenceStore({ nodeId: "node-b", model }),
+    killNode: () => ageNode(model, "node-a"),
+  };
+});
+
+// MONGO_TEST_URI=mongodb://localhost:27017/campusbuddy_test npm test
+describe("mongo presence store against MongoDB", { skip: !process.env.MONGO_TEST_URI && "MONGO_TEST_URI not set" }, () => {
+  before(async () => {
+    await mongoose.connect(process.env.MONGO_TEST_URI);
+    await Presence.deleteMany({});
+  });
+  after(async () => {
+    await Presence.deleteMany({});
+    await mongoose.disconnect();
+  });
+
+  presenceContract("mongo (MongoDB)", async () => ({
+    a: createMongoPresenceStore({ nodeId: "node-a" }),
+    b: createMongoPresenceStore({ nodeId: "node-b" }),
+    killNode: () => ageNode(Presence, "node-a"),
+  }));
+});
+
+describe("sweepStalePresence", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("emits presence offline for every swept user, skipping their blockers", async () => {
+    const [gone, blocker] = [uid(), uid()];
+    mock.method(User, "find", () => ({ distinct: async () => [blocker] }));
+    const nsp = fakeNamespace();
+
+    const count = await sweepStalePresence(nsp, { sweepStale: async () => [gone] });
+
+    assert.equal(count, 1);
+    assert.equal(nsp.emitted.length, 1);
+    assert.equal(nsp.emitted[0].event, "presence");
+    assert.deepEqual(nsp.emitted[0].payload, { userId: gone, online: false });
+    assert.deepEqual(nsp.emitted[0].except, [`user:${blocker}`]);
+  });
+});
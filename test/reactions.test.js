@@ -0,0 +1,39 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const messageRoutes = require("../routes/messageRoutes");
+
+const reactLayer = messageRoutes.stack.find(
+  (layer) => layer.route?.path === "/:messageId/reactions/:emoji" && layer.route.methods.put
+);
+const react = reactLayer.route.stack.at(-1).handle;
+
+async function put(emoji) {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  const messageId = new mongoose.Types.ObjectId().toString();
+  await react({ params: { messageId, emoji }, user: { _id: new mongoose.Types.ObjectId() } }, res);
+  return res;
+}
+
+describe("PUT /api/messages/:messageId/reactions/:emoji", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("takes exactly one emoji, sequences included", async () => {
+    mock.method(Message, "findById", async () => null); // valid emoji get as far as the lookup
+    for (const emoji of ["😀", "👍🏽", "🇩🇪", "👩‍💻", "1️⃣", "❤️", "🏳️‍⚧️", "🏴󠁧󠁢󠁳󠁣󠁴󠁿"]) {
+      assert.equal((await put(emoji)).statusCode, 404, emoji);
+    }
+  });
+
+  it("refuses text around an emoji, several emoji and overlong input", async () => {
+    for (const emoji of ["abc😀", "😀abc", "😀😀", "🇩", "a", "", "😀".repeat(17)]) {
+      const res = await put(emoji);
+      assert.equal(res.statusCode, 400, emoji);
+      assert.equal(res.body.error, "Invalid emoji");
+    }
+  });
+});
@@ -0,0 +1,82 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Room = require("../models/Room");
+const messageRoutes = require("../routes/messageRoutes");
+const { parseSearchQuery, buildSnippet } = require("../utils/search");
+
+const searchLayer = messageRoutes.stack.find((layer) => layer.route?.path === "/search");
+const search = searchLayer.route.stack.at(-1).handle;
+
+async function get(query) {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  await search({ query, user: { _id: "u1", blockedUsers: [] } }, res);
+  return res;
+}
+
+describe("parseSearchQuery", () => {
+  it("pulls has: filters out of the text", () => {
+    assert.deepEqual(parseSearchQuery("lab report has:PDF has:image"), {
+      text: "lab report",
+      terms: ["lab", "report"],
+      has: ["pdf", "image"],
+    });
+  });
+
+  it("keeps unknown has: tokens and negations as text, but only highlights plain terms", () => {
+    assert.deepEqual(parseSearchQuery(' "exam" -draft has:exe '), {
+      text: '"exam" -draft has:exe',
+      terms: ["exam", "has:exe"],
+      has: [],
+    });
+    assert.deepEqual(parseSearchQuery(), { text: "", terms: [], has: [] });
+  });
+});
+
+describe("buildSnippet", () => {
+  it("highlights every match, in any case, by offset", () => {
+    assert.deepEqual(buildSnippet("Lab report: the LAB is open", ["lab"]), {
+      text: "Lab report: the LAB is open",
+      highlights: [
+        { start: 0, length: 3 },
+        { start: 16, length: 3 },
+      ],
+    });
+  });
+
+  it("cuts a window around the first hit and marks what was cut", () => {
+    const content = `${"a".repeat(100)} needle ${"b".repeat(200)}`;
+    const { text, highlights } = buildSnippet(content, ["needle"]);
+    assert.ok(text.startsWith("…") && text.endsWith("…"));
+    assert.equal(text.slice(highlights[0].start, highlights[0].start + 6), "needle");
+    assert.equal(text.length, 2 + 180);
+  });
+
+  it("falls back to the start of the message without a hit", () => {
+    assert.deepEqual(buildSnippet("short", ["missing"]), { text: "short", highlights: [] });
+  });
+});
+
+describe("GET /api/messages/search validation", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("answers 400 before querying anything", async () => {
+    const lookups = mock.method(Room, "find", () => ({ distinct: async () => [] }));
+    const cases = [
+      [{ q: ["a", "b"] }, "q must be a single query"],
+      [{}, "Search query is required"],
+      [{ q: "notes", has: "exe" }, "Unknown attachment type: exe"],
+      [{ q: "notes", room: "nope" }, "Invalid ID"],
+      [{ q: "notes", sender: ["a", "b"] }, "Invalid ID"],
+      [{ q: "notes", from: "yesterday" }, "Invalid date"],
+    ];
+    for (const [query, error] of cases) {
+      const res = await get(query);
+      assert.equal(res.statusCode, 400, JSON.stringify(query));
+      assert.equal(res.body.error, error);
+    }
+    assert.equal(lookups.mock.callCount(), 0);
+  });
+});
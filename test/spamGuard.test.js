@@ -0,0 +1,66 @@
+require("./helpers/setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { checkSocketEvent, recordViolation, mutedUntil, parseRateLimits } = require("../utils/spamGuard");
+
+// the guard keeps its counters per process, so every test uses users of its own
+const uid = () => new mongoose.Types.ObjectId().toString();
+const MINUTE = 60 * 1000;
+
+describe("spamGuard", () => {
+  it("mutes on the fifth violation within a minute", async () => {
+    const user = uid();
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) assert.equal(await recordViolation(user, now + i), null);
+    const until = await recordViolation(user, now + 4);
+    assert.equal(until.getTime(), now + 4 + MINUTE);
+    assert.deepEqual(await mutedUntil(user, now + 5), until);
+    assert.equal(await mutedUntil(user, now + 4 + MINUTE), null);
+  });
+
+  it("forgets violations older than the window", async () => {
+    const user = uid();
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) await recordViolation(user, now);
+    assert.equal(await recordViolation(user, now + MINUTE), null);
+  });
+
+  it("doubles the mute for a repeat offender", async () => {
+    const user = uid();
+    const now = Date.now();
+    for (let i = 0; i < 5; i++) await recordViolation(user, now);
+    const later = now + 2 * MINUTE;
+    for (let i = 0; i < 4; i++) await recordViolation(user, later);
+    assert.equal((await recordViolation(user, later)).getTime(), later + 2 * MINUTE);
+  });
+
+  it("refuses the third identical message in a room, but not in another room", async () => {
+    const user = uid();
+    const now = Date.now();
+    const send = (chatId, content) => checkSocketEvent(user, "send-message", { chatId, content }, now);
+    assert.equal(await send("room-a", "Buy now"), null);
+    assert.equal(await send("room-a", "  buy   NOW "), null);
+    assert.equal((await send("room-a", "buy now")).code, "duplicate");
+    assert.equal(await send("room-b", "buy now"), null);
+  });
+
+  it("rate limits an event past its budget and refuses sends while muted", async () => {
+    const user = uid();
+    const now = Date.now();
+    for (let i = 0; i < 10; i++) assert.equal(await checkSocketEvent(user, "sync", {}, now), null);
+    const limited = await checkSocketEvent(user, "sync", {}, now);
+    assert.equal(limited.code, "rate_limited");
+    assert.equal(limited.retryAfterMs, MINUTE);
+
+    for (let i = 0; i < 5; i++) await recordViolation(user, now);
+    const muted = await checkSocketEvent(user, "send-message", { chatId: "room", content: "hi" }, now);
+    assert.equal(muted.code, "muted");
+  });
+
+  it("reads budgets from SOCKET_RATE_LIMITS and ignores malformed entries", () => {
+    const limits = parseRateLimits("typing=5/2, bogus, send-message=x/1");
+    assert.deepEqual(limits.typing, { limit: 5, windowMs: 2000 });
+    assert.deepEqual(limits["send-message"], { limit: 20, windowMs: 10 * 1000 });
+  });
+});
@@ -0,0 +1,48 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const MembershipEvent = require("../models/MembershipEvent");
+const User = require("../models/User");
+const { collectChanges, parseSyncToken, encodeSyncToken } = require("../utils/sync");
+
+// no rooms, no membership changes; Message.find yields `messages` through any query chain
+function stubSync(messages = []) {
+  mock.method(Room, "find", () => ({ select: async () => [], populate: async () => [] }));
+  mock.method(Room, "aggregate", async () => []);
+  mock.method(User, "findById", () => ({ select: async () => null }));
+  mock.method(MembershipEvent, "find", () => ({ sort: async () => [] }));
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(messages).then(resolve, reject),
+  };
+  mock.method(Message, "find", () => chain);
+}
+
+describe("collectChanges", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("hands out a caught-up token a little before now, so in-flight writes aren't skipped", async () => {
+    stubSync();
+    const since = encodeSyncToken(new Date(Date.now() - 60 * 60 * 1000));
+    const before = Date.now();
+    const { next, hasMore } = await collectChanges(new mongoose.Types.ObjectId(), since);
+
+    assert.equal(hasMore, false);
+    const { date, id } = parseSyncToken(next);
+    assert.equal(id, null);
+    assert.ok(date.getTime() <= before - 4 * 1000);
+    assert.ok(date.getTime() > before - 10 * 1000);
+  });
+
+  it("never moves a token back that is already within the overlap", async () => {
+    stubSync();
+    const since = encodeSyncToken(new Date(Date.now() - 1000), new mongoose.Types.ObjectId());
+    const { next } = await collectChanges(new mongoose.Types.ObjectId(), since);
+    assert.equal(next, since);
+  });
+});
@@ -0,0 +1,95 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { recordThreadReply, adjustThreadReplies } = require("../utils/threads");
+const { userRoom } = require("../utils/realtime");
+const { fakeNamespace } = require("./helpers/stubs");
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("thread-updated", () => {
+  afterEach(() => mock.restoreAll());
+
+  const [stayed, left, replier] = [id(), id(), id()];
+  const chat = id();
+  const rootId = id();
+
+  // the room has lost `left` since they joined the thread
+  function stubThread(replyCount, latestReplyAt, blockers = []) {
+    mock.method(User, "find", () => ({ distinct: async () => blockers }));
+    mock.method(Room, "findById", () => ({ select: async () => ({ members: [stayed, replier] }) }));
+    mock.method(Message, "findOne", () => ({
+      sort: () => ({ select: async () => (latestReplyAt ? { createdAt: latestReplyAt } : null) }),
+    }));
+    const updates = [];
+    const updated = () => ({
+      select: async () => ({
+        _id: rootId,
+        chat,
+        replyCount,
+        lastReplyAt: latestReplyAt,
+        threadParticipants: [stayed, left, replier],
+      }),
+    });
+    mock.method(Message, "findByIdAndUpdate", (_id, update) => (updates.push({ filter: { _id }, update }), updated()));
+    mock.method(Message, "findOneAndUpdate", (filter, update) => (updates.push({ filter, update }), updated()));
+    return updates;
+  }
+
+  it("reaches the room and participants who are still members", async () => {
+    stubThread(1, new Date());
+    const nsp = fakeNamespace();
+    const reply = new Message({ chat, sender: replier, content: "hi", threadRoot: rootId });
+    await recordThreadReply(nsp, { _id: rootId, sender: stayed }, reply);
+
+    assert.equal(nsp.emitted.length, 1);
+    assert.deepEqual(nsp.emitted[0].rooms, [chat.toString(), userRoom(stayed), userRoom(replier)]);
+    assert.equal(nsp.emitted[0].payload.lastReply.content, "hi");
+  });
+
+  it("gives members who blocked the replier the counts without the reply", async () => {
+    stubThread(1, new Date(), [stayed]);
+    const nsp = fakeNamespace();
+    const reply = new Message({ chat, sender: replier, content: "hi", threadRoot: rootId });
+    await recordThreadReply(nsp, { _id: rootId, sender: stayed }, reply);
+
+    const [everyone, blocker] = nsp.emitted;
+    assert.deepEqual(everyone.except, [userRoom(stayed)]);
+    assert.equal(everyone.payload.lastReply.content, "hi");
+    assert.deepEqual(blocker.rooms, [userRoom(stayed)]);
+    assert.equal(blocker.payload.replyCount, 1);
+    assert.equal(blocker.payload.lastReply, undefined);
+  });
+
+  it("counts a deleted reply out and moves lastReplyAt back", async () => {
+    const earlier = new Date(Date.now() - 60 * 1000);
+    const updates = stubThread(0, earlier);
+    const nsp = fakeNamespace();
+    await adjustThreadReplies(nsp, { threadRoot: rootId }, -1);
+
+    assert.deepEqual(updates[0].filter, { _id: rootId, replyCount: { $gte: 1 } });
+    assert.deepEqual(updates[0].update, { $inc: { replyCount: -1 }, $set: { lastReplyAt: earlier } });
+    assert.equal(nsp.emitted[0].event, "thread-updated");
+    assert.equal(nsp.emitted[0].payload.replyCount, 0);
+    assert.ok(!nsp.emitted[0].rooms.includes(userRoom(left)));
+  });
+
+  it("counts a restored reply back in", async () => {
+    const updates = stubThread(2, new Date());
+    await adjustThreadReplies(fakeNamespace(), { threadRoot: rootId }, 1);
+    assert.deepEqual(updates[0].filter, { _id: rootId });
+    assert.equal(updates[0].update.$inc.replyCount, 1);
+  });
+
+  it("leaves messages outside threads alone", async () => {
+    const updates = stubThread(0, null);
+    const nsp = fakeNamespace();
+    await adjustThreadReplies(nsp, { threadRoot: undefined }, -1);
+    assert.equal(updates.length, 0);
+    assert.equal(nsp.emitted.length, 0);
+  });
+});
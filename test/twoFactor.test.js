@@ -0,0 +1,135 @@
+require("./helpers/setup");
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const AuthThrottle = require("../models/AuthThrottle");
+const twoFactorRoutes = require("../routes/twoFactorRoutes");
+const { base32Encode, codeForStep, currentStep, verifyTotp } = require("../utils/totp");
+const { RECOVERY_CODE_COUNT, newRecoveryCodes, verifySecondFactor } = require("../utils/twoFactor");
+
+// RFC 6238 appendix B (SHA-1), last six digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+function fakeRes() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  res.set = (name, value) => ((res.headers[name] = value), res);
+  return res;
+}
+
+const handlerFor = (path) =>
+  twoFactorRoutes.stack.find((layer) => layer.route?.path === path).route.stack.at(-1).handle;
+
+function enrolledUser(extra = {}) {
+  const user = new User({ name: "Ada", email: "ada@example.edu", password: "x" });
+  user.twoFactor = { enabled: true, secret: RFC_SECRET, recoveryCodes: [], ...extra };
+  user.save = async () => user;
+  return user;
+}
+
+describe("TOTP", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    assert.equal(codeForStep(RFC_SECRET, currentStep(59 * 1000)), "287082");
+    assert.equal(codeForStep(RFC_SECRET, currentStep(1111111109 * 1000)), "081804");
+  });
+
+  it("accepts the previous and next code but nothing further out", () => {
+    const now = Date.now();
+    const step = currentStep(now);
+    const check = (s) => verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, s), { now });
+    for (const s of [step - 1, step, step + 1]) assert.equal(check(s), s);
+    for (const s of [step - 2, step + 2]) assert.equal(check(s), null);
+  });
+
+  it("refuses a code from a step that was already used", () => {
+    const now = Date.now();
+    const step = currentStep(now);
+    const code = codeForStep(RFC_SECRET, step);
+    assert.equal(verifyTotp(RFC_SECRET, code, { now, lastUsedStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, code, { now, lastUsedStep: step - 1 }), step);
+  });
+
+  it("only takes six digits", () => {
+    for (const code of ["12345", "1234567", "abcdef", { $gt: "" }, null]) {
+      assert.equal(verifyTotp(RFC_SECRET, code), null);
+    }
+    const spaced = codeForStep(RFC_SECRET, currentStep()).replace(/^(\d{3})/, "$1 ");
+    assert.notEqual(verifyTotp(RFC_SECRET, spaced), null);
+  });
+});
+
+describe("recovery codes", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("hands out distinct codes and keeps only their hashes", () => {
+    const { codes, hashes } = newRecoveryCodes();
+    assert.equal(new Set(codes).size, RECOVERY_CODE_COUNT);
+    assert.ok(codes.every((code) => /^[0-9a-f]{6}-[0-9a-f]{6}$/.test(code)));
+    assert.ok(hashes.every((hash, i) => /^[0-9a-f]{64}$/.test(hash) && !hash.includes(codes[i])));
+  });
+
+  it("burns a recovery code however it was typed", async () => {
+    const { codes, hashes } = newRecoveryCodes();
+    const user = enrolledUser({ recoveryCodes: hashes });
+    const filters = [];
+    mock.method(User, "findOneAndUpdate", (filter) => {
+      filters.push(filter);
+      return { select: async () => ({ twoFactor: { recoveryCodes: hashes.slice(1) } }) };
+    });
+
+    const result = await verifySecondFactor(user, ` ${codes[0].toUpperCase().replace("-", " - ")} `);
+    assert.deepEqual(result, { method: "recovery", recoveryCodesLeft: RECOVERY_CODE_COUNT - 1 });
+    assert.equal(filters[0]["twoFactor.recoveryCodes"], hashes[0]);
+  });
+
+  it("refuses an unknown or already used recovery code", async () => {
+    mock.method(User, "findOneAndUpdate", () => ({ select: async () => null }));
+    assert.deepEqual(await verifySecondFactor(enrolledUser(), "aaaaaa-bbbbbb"), { error: "Invalid two-factor code" });
+  });
+
+  it("lets only one of two racing requests use the same TOTP code", async () => {
+    mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+    const result = await verifySecondFactor(enrolledUser(), codeForStep(RFC_SECRET, currentStep()));
+    assert.deepEqual(result, { error: "Invalid two-factor code" });
+  });
+});
+
+describe("2FA management throttling", () => {
+  afterEach(() => mock.restoreAll());
+
+  const request = (user, body) => ({ user, body, ip: "10.0.0.1", app: { get: () => null } });
+
+  it("answers 429 without checking the code once the account is backing off", async () => {
+    mock.method(AuthThrottle, "find", async () => [
+      { key: "login:account:ada@example.edu", lockedUntil: new Date(Date.now() + 60 * 1000) },
+    ]);
+    const burns = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const res = fakeRes();
+    await handlerFor("/recovery-codes")(request(enrolledUser(), { code: "000000" }), res);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], "60");
+    assert.equal(burns.mock.callCount(), 0);
+  });
+
+  it("counts a wrong code when turning 2FA off", async () => {
+    const user = enrolledUser();
+    user.password = await bcrypt.hash("correct horse", 4);
+    mock.method(AuthThrottle, "find", async () => []);
+    const counted = [];
+    mock.method(AuthThrottle, "findOneAndUpdate", async ({ key }) => {
+      counted.push(key);
+      return { _id: new mongoose.Types.ObjectId(), key, failures: 1, lockCount: 0 };
+    });
+    mock.method(User, "findOneAndUpdate", () => ({ select: async () => null }));
+
+    const res = fakeRes();
+    await handlerFor("/disable")(request(user, { password: "correct horse", code: "nope-nope" }), res);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(counted, ["login:account:ada@example.edu", "login:ip:10.0.0.1"]);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+});
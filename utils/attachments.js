@@ -0,0 +1,64 @@
+// utils/attachments.js
+const fs = require("fs");
+const multer = require("multer");
+const cloudinary = require("cloudinary").v2;
+
+const AVATAR_MAX_MB = 5;
+const avatarMulter = multer({ dest: "uploads/", limits: { fileSize: AVATAR_MAX_MB * 1024 * 1024, files: 1 } });
+
+// leading bytes of the image formats we accept for avatars
+const IMAGE_SIGNATURES = [
+  { type: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { type: "webp", bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] }, // RIFF....WEBP
+];
+
+// "jpeg" | "png" | "gif" | "webp" from the file's own header, or null (the client's mimetype is not trusted)
+async function sniffImageType(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const head = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    const matches = (bytes, offset = 0) =>
+      bytesRead >= offset + bytes.length && bytes.every((b, i) => head[offset + i] === b);
+    const hit = IMAGE_SIGNATURES.find((sig) => matches(sig.bytes) && (!sig.at8 || matches(sig.at8, 8)));
+    return hit ? hit.type : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// one "avatar" file (user or group) into uploads/; multer's own errors (too big,
+// unexpected field) are the client's fault, not a 500
+function avatarUpload(req, res, next) {
+  avatarMulter.single("avatar")(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    const error = err.code === "LIMIT_FILE_SIZE" ? `Avatar must be at most ${AVATAR_MAX_MB} MB` : err.message;
+    res.status(400).json({ error });
+  });
+}
+
+// Cloudinary needs the same resource_type on destroy that was used on upload
+function cloudinaryResourceType(type) {
+  if (type === "image") return "image";
+  if (type === "video") return "video";
+  return "raw"; // pdf, docx, zip, etc.
+}
+
+// Best-effort removal of message attachments from Cloudinary
+async function destroyAttachments(attachments = []) {
+  for (const att of attachments) {
+    if (!att?.cloudinaryId) continue;
+    try {
+      await cloudinary.uploader.destroy(att.cloudinaryId, {
+        resource_type: cloudinaryResourceType(att.type),
+      });
+      console.log(`✅ Deleted Cloudinary file: ${att.cloudinaryId}`);
+    } catch (err) {
+      console.warn(`⚠️ Failed to delete Cloudinary file (${att.cloudinaryId}):`, err.message);
+    }
+  }
+}
+
+module.exports = { cloudinaryResourceType, destroyAttachments, sniffImageType, avatarUpload };
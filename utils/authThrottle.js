@@ -0,0 +1,157 @@
+// utils/authThrottle.js
+// Brute-force protection for /api/login, /api/login/2fa, the 2FA settings and
+// the password reset endpoints, plus a cap on /api/register's "already
+// registered" notices. Failures are counted per email and per client IP (kept
+// in Mongo so every instance sees the same counts): after a few failures each
+// new attempt has to wait a little longer, and too many in the window lock
+// the account for a while. Unknown emails are counted exactly like real ones
+// so the responses don't tell them apart.
+//
+// IP keys only ever back off (at most IP_BACKOFF_MAX_MS between attempts),
+// never lock: many people can share one address (campus NAT, or every client
+// when TRUST_PROXY is not set behind a reverse proxy), and a hard lock there
+// would let one attacker lock everybody out.
+//   AUTH_LOCK_MINUTES   first account lock length (doubles per repeat lock, max a day)
+const bcrypt = require("bcrypt");
+const AuthThrottle = require("../models/AuthThrottle");
+const transporter = require("./mailer");
+const { normalizeEmail } = require("./verification");
+
+const WINDOW_MS = 15 * 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const IP_BACKOFF_MAX_MS = 10 * 1000;
+const LOCK_BASE_MS = (Number(process.env.AUTH_LOCK_MINUTES) || 15) * 60 * 1000;
+const LOCK_MAX_MS = 24 * 60 * 60 * 1000;
+const MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// backoffAfter: failures before delays start (1 s, 2 s, 4 s ... backoffMaxMs);
+// lockAfter: failures that lock (null = never)
+const POLICIES = {
+  login: {
+    account: { backoffAfter: 3, backoffMaxMs: BACKOFF_MAX_MS, lockAfter: 10 },
+    ip: { backoffAfter: 20, backoffMaxMs: IP_BACKOFF_MAX_MS, lockAfter: null },
+  },
+  // every reset request counts, so nobody can flood an inbox with links
+  forgot: {
+    account: { backoffAfter: 1, backoffMaxMs: BACKOFF_MAX_MS, lockAfter: 5 },
+    ip: { backoffAfter: 10, backoffMaxMs: IP_BACKOFF_MAX_MS, lockAfter: null },
+  },
+  // "you already have an account" notices, counted per account only; never answered
+  // with a 429 (that would tell taken emails apart), the notice is just not sent
+  register: {
+    account: { backoffAfter: 1, backoffMaxMs: BACKOFF_MAX_MS, lockAfter: 3 },
+  },
+};
+
+function keysFor(scope, { email, ip }) {
+  const keys = [];
+  const account = normalizeEmail(email);
+  if (account) keys.push({ key: `${scope}:account:${account}`, policy: POLICIES[scope].account });
+  if (ip) keys.push({ key: `${scope}:ip:${ip}`, policy: POLICIES[scope].ip });
+  return keys;
+}
+
+const backoffMs = (failures, policy) =>
+  failures < policy.backoffAfter ? 0 : Math.min(1000 * 2 ** (failures - policy.backoffAfter), policy.backoffMaxMs);
+
+/**
+ * Whether another attempt is allowed right now.
+ * Resolves to { retryAfter: seconds } when it is not, {} otherwise.
+ */
+async function checkThrottle(scope, who) {
+  const keys = keysFor(scope, who);
+  const docs = await AuthThrottle.find({ key: { $in: keys.map((k) => k.key) } });
+  const now = Date.now();
+  let until = 0;
+  for (const doc of docs) {
+    const { policy } = keys.find((k) => k.key === doc.key);
+    if (doc.lockedUntil && doc.lockedUntil.getTime() > now) until = Math.max(until, doc.lockedUntil.getTime());
+    if (doc.lastFailureAt && doc.lastFailureAt.getTime() > now - WINDOW_MS) {
+      until = Math.max(until, doc.lastFailureAt.getTime() + backoffMs(doc.failures, policy));
+    }
+  }
+  return until > now ? { retryAfter: Math.ceil((until - now) / 1000) } : {};
+}
+
+/**
+ * Count a failure against the email and the IP; locks the account once it crossed its limit.
+ * Resolves to { accountLockedUntil } when this failure just locked the account.
+ */
+async function recordFailure(scope, who) {
+  const now = new Date();
+  const result = {};
+  for (const { key, policy } of keysFor(scope, who)) {
+    // failures older than the window don't count any more
+    const doc = await AuthThrottle.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: {
+              $cond: [{ $gt: ["$lastFailureAt", new Date(now - WINDOW_MS)] }, { $add: ["$failures", 1] }, 1],
+            },
+            lastFailureAt: now,
+            lockCount: { $ifNull: ["$lockCount", 0] },
+            expiresAt: { $max: ["$expiresAt", new Date(now.getTime() + MEMORY_MS)] },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+    if (!policy.lockAfter || doc.failures < policy.lockAfter) continue;
+
+    const lockedUntil = new Date(now.getTime() + Math.min(LOCK_BASE_MS * 2 ** doc.lockCount, LOCK_MAX_MS));
+    const locked = await AuthThrottle.updateOne(
+      { _id: doc._id, failures: { $gte: policy.lockAfter } },
+      {
+        $set: { failures: 0, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + MEMORY_MS) },
+        $inc: { lockCount: 1 },
+      }
+    );
+    if (locked.modifiedCount > 0 && key.includes(":account:")) result.accountLockedUntil = lockedUntil;
+  }
+  return result;
+}
+
+// a successful sign-in wipes the account's count (never the IP's)
+function clearFailures(scope, { email }) {
+  return AuthThrottle.deleteOne({ key: `${scope}:account:${normalizeEmail(email)}` });
+}
+
+// bcrypt runs even for unknown emails so response times don't give them away
+let dummyHash = null;
+async function passwordMatches(user, password) {
+  if (!dummyHash) dummyHash = await bcrypt.hash("not-the-password", 10);
+  const ok = await bcrypt.compare(String(password || ""), user?.password || dummyHash);
+  return !!user && ok;
+}
+
+async function sendLockedEmail(user, lockedUntil) {
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: "Your account was temporarily locked",
+    html: `
+      <p>Hello ${user.name || "User"},</p>
+      <p>We locked sign-in to your account after too many failed attempts.
+      You can try again after ${lockedUntil.toUTCString()}.</p>
+      <p>If this wasn't you, consider resetting your password and turning on two-factor authentication.</p>
+    `,
+  });
+}
+
+// 429 with Retry-After; same body whether or not the email exists
+function sendThrottled(res, retryAfter, key = "error") {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ [key]: "Too many attempts. Please try again later.", retryAfter });
+}
+
+module.exports = {
+  POLICIES,
+  checkThrottle,
+  recordFailure,
+  clearFailures,
+  passwordMatches,
+  sendLockedEmail,
+  sendThrottled,
+};
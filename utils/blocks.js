@@ -0,0 +1,41 @@
+// utils/blocks.js
+// Blocking is one-way (User.blockedUsers): the blocker stops seeing the
+// blocked user's messages, notifications and presence. Opening a private
+// room is refused in both directions.
+const User = require("../models/User");
+const { userRoom } = require("./realtime");
+
+// extra Message filter hiding senders the viewer blocked ({} when none)
+function hideBlockedSenders(viewer) {
+  const blocked = viewer?.blockedUsers || [];
+  return blocked.length ? { sender: { $nin: blocked } } : {};
+}
+
+// either side blocked the other
+async function isBlockedBetween(a, b) {
+  const n = await User.countDocuments({
+    $or: [
+      { _id: a, blockedUsers: b },
+      { _id: b, blockedUsers: a },
+    ],
+  });
+  return n > 0;
+}
+
+// ids (strings) of users who blocked userId, optionally only among `userIds`
+async function blockersOf(userId, userIds) {
+  const filter = { blockedUsers: userId };
+  if (userIds) filter._id = { $in: userIds };
+  const ids = await User.find(filter).distinct("_id");
+  return ids.map(String);
+}
+
+// emit to a Socket.IO target (namespace, room, socket.broadcast) but skip
+// every socket of the users who blocked `aboutUserId`
+async function emitExceptBlockers(target, aboutUserId, event, payload) {
+  const blockers = await blockersOf(aboutUserId);
+  const scoped = blockers.length ? target.except(blockers.map(userRoom)) : target;
+  scoped.emit(event, payload);
+}
+
+module.exports = { hideBlockedSenders, isBlockedBetween, blockersOf, emitExceptBlockers };
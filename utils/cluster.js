@@ -0,0 +1,27 @@
+// utils/cluster.js
+// CHAT_CLUSTER_MODE=memory (default): one instance, in-process adapter and presence.
+// CHAT_CLUSTER_MODE=mongo: several instances share presence through MongoDB and
+// relay room broadcasts with the Socket.IO MongoDB adapter (needs a replica set,
+// change streams are used under the hood).
+const mongoose = require("mongoose");
+const { createAdapter } = require("@socket.io/mongo-adapter");
+const { createMemoryPresenceStore, createMongoPresenceStore } = require("./presence");
+
+const CLUSTER_MODE = process.env.CHAT_CLUSTER_MODE || "memory";
+const ADAPTER_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || "socket_io_adapter_events";
+
+function createPresenceStore() {
+  return CLUSTER_MODE === "mongo" ? createMongoPresenceStore() : createMemoryPresenceStore();
+}
+
+// resolves once io can broadcast across instances (immediately in memory mode)
+async function configureAdapter(io) {
+  if (CLUSTER_MODE !== "mongo") return;
+  if (mongoose.connection.readyState !== 1) await mongoose.connection.asPromise();
+
+  const collection = mongoose.connection.db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+}
+
+module.exports = { CLUSTER_MODE, createPresenceStore, configureAdapter };
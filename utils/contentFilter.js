@@ -0,0 +1,63 @@
+// utils/contentFilter.js
+// Word / link filter applied to every message body (utils/messaging and
+// edits). Configured through the environment:
+//   CONTENT_FILTER_WORDS     comma-separated words, matched whole-word, any case
+//   CONTENT_FILTER_DOMAINS   comma-separated domains; subdomains match too
+//   CONTENT_FILTER_ACTION    "mask" (default) replaces the match, "reject" refuses the message
+const listFromEnv = (value) =>
+  (value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>]+/gi;
+const LINK_MASK = "[link removed]";
+
+function createContentFilter({ words = [], domains = [], action = "mask" } = {}) {
+  const wordRe = words.length ? new RegExp(`\\b(?:${words.map(escapeRegExp).join("|")})\\b`, "gi") : null;
+
+  const blockedLink = (url) => {
+    if (!domains.length) return false;
+    let host;
+    try {
+      host = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    return domains.some((d) => host === d || host.endsWith(`.${d}`));
+  };
+
+  // { content, masked }, or { error, code: "content_blocked" } on a match in reject mode
+  return function filterContent(text) {
+    if (!text) return { content: text, masked: false };
+    let matched = false;
+    let content = text;
+
+    if (wordRe) {
+      content = content.replace(wordRe, (w) => {
+        matched = true;
+        return "*".repeat(w.length);
+      });
+    }
+    content = content.replace(URL_RE, (url) => {
+      if (!blockedLink(url)) return url;
+      matched = true;
+      return LINK_MASK;
+    });
+
+    if (matched && action === "reject") {
+      return { error: "Message contains blocked words or links", code: "content_blocked" };
+    }
+    return { content, masked: matched };
+  };
+}
+
+const filterContent = createContentFilter({
+  words: listFromEnv(process.env.CONTENT_FILTER_WORDS),
+  domains: listFromEnv(process.env.CONTENT_FILTER_DOMAINS),
+  action: process.env.CONTENT_FILTER_ACTION === "reject" ? "reject" : "mask",
+});
+
+module.exports = { createContentFilter, filterContent };
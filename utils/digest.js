@@ -0,0 +1,132 @@
+// utils/digest.js
+// What goes into a user's email digest, and when the next one is due.
+const crypto = require("crypto");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const Resource = require("../models/Resource");
+const { mutedRoomIds } = require("./mutes");
+const { unreadClauses } = require("./unread");
+
+const DIGEST_PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DIGEST_LIST_LIMIT = 10;
+
+const escapeHtml = (str = "") =>
+  String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const newUnsubscribeToken = () => crypto.randomBytes(24).toString("hex");
+
+// first slot strictly after `from` matching the user's hour (and weekday for weekly)
+function computeNextDigestAt(prefs, from = new Date()) {
+  if (!prefs || !DIGEST_PERIOD_DAYS[prefs.frequency]) return null;
+  const next = new Date(from);
+  next.setUTCMinutes(0, 0, 0);
+  next.setUTCHours(prefs.hourUtc);
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+  if (prefs.frequency === "weekly") {
+    while (next.getUTCDay() !== prefs.weekday) next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Everything new for the user in [start, end): unread messages per room,
+ * unread mentions and resources for their stream/semester. Muted rooms and
+ * blocked senders are left out.
+ */
+async function buildDigest(user, start, end) {
+  const uid = user._id;
+  const muted = mutedRoomIds(user);
+  const allRooms = await Room.find({ members: uid })
+    .select("name isGroup members readCursors")
+    .populate("members", "name");
+  const rooms = allRooms.filter((r) => !muted.includes(r._id.toString()));
+  const hiddenSenders = [uid, ...(user.blockedUsers || [])];
+  const window = { $gte: start, $lt: end };
+  const unread = unreadClauses(rooms, uid);
+
+  const unreadRows = await Message.aggregate([
+    {
+      $match: {
+        $or: unread,
+        createdAt: window,
+        sender: { $nin: hiddenSenders },
+        deletedAt: null,
+        hiddenAt: null,
+        inTimeline: { $ne: false },
+      },
+    },
+    { $group: { _id: "$chat", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+  const roomLabel = (room) =>
+    room.isGroup ? room.name || "Group" : room.members.find((m) => !m._id.equals(uid))?.name || "Private chat";
+  const unreadRooms = unreadRows.map((row) => {
+    const room = rooms.find((r) => r._id.equals(row._id));
+    return { room: row._id, name: roomLabel(room), count: row.count };
+  });
+
+  const mentions = await Message.find({
+    mentions: uid,
+    $or: unread,
+    sender: { $nin: hiddenSenders },
+    createdAt: window,
+    deletedAt: null,
+    hiddenAt: null,
+  })
+    .sort({ createdAt: -1 })
+    .limit(DIGEST_LIST_LIMIT)
+    .populate("sender", "name");
+
+  const resourceFilter = { createdAt: window, uploader: { $ne: uid }, hiddenAt: null };
+  if (user.stream) resourceFilter.stream = user.stream;
+  if (user.semester) resourceFilter.semester = user.semester;
+  // without a stream/semester on the profile there is nothing to match against
+  const resources =
+    user.stream || user.semester
+      ? await Resource.find(resourceFilter).sort({ createdAt: -1 }).limit(DIGEST_LIST_LIMIT)
+      : [];
+
+  return {
+    unreadRooms,
+    mentions,
+    resources,
+    empty: unreadRooms.length === 0 && mentions.length === 0 && resources.length === 0,
+  };
+}
+
+function renderDigestEmail(user, digest, unsubscribeUrl) {
+  const appUrl = process.env.FRONTEND_URL || "";
+  const section = (title, items) =>
+    items.length ? `<h3>${title}</h3><ul>${items.map((i) => `<li>${i}</li>`).join("")}</ul>` : "";
+
+  return `
+    <p>Hello ${escapeHtml(user.name || "User")},</p>
+    <p>Here is what you missed on Campus Buddy:</p>
+    ${section(
+      "Unread messages",
+      digest.unreadRooms.map((r) => `${escapeHtml(r.name)}: ${r.count} new message${r.count === 1 ? "" : "s"}`)
+    )}
+    ${section(
+      "You were mentioned",
+      digest.mentions.map((m) => `${escapeHtml(m.sender?.name || "Someone")}: ${escapeHtml((m.content || "").slice(0, 140))}`)
+    )}
+    ${section(
+      "New resources for you",
+      digest.resources.map((r) => `${escapeHtml(r.title || r.fileName)}${r.subject ? ` (${escapeHtml(r.subject)})` : ""}`)
+    )}
+    <p><a href="${escapeHtml(appUrl)}">Open Campus Buddy</a></p>
+    <p style="font-size:12px;color:#888">
+      You get this because you turned on email digests.
+      <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+    </p>
+  `;
+}
+
+module.exports = {
+  DIGEST_PERIOD_DAYS,
+  escapeHtml,
+  newUnsubscribeToken,
+  computeNextDigestAt,
+  buildDigest,
+  renderDigestEmail,
+};
@@ -0,0 +1,36 @@
+// utils/history.js
+// Shared page loader for the room timeline and thread views.
+const Message = require("../models/Message");
+const { cursorFilter } = require("./pagination");
+
+// main room timeline: everything except thread replies kept inside their thread
+const timelineFilter = (roomId) => ({ chat: roomId, inTimeline: { $ne: false } });
+
+// sender + quoted reply, as the chat view renders them
+function populateHistory(query) {
+  return query.populate("sender", "name avatarUrl").populate({
+    path: "replyTo",
+    select: "content sender attachments deletedAt hiddenAt",
+    populate: { path: "sender", select: "name avatarUrl" },
+  });
+}
+
+// one page of `filter` in `op` direction from cursor, returned oldest -> newest
+async function fetchHistoryPage(filter, cursor, op, limit) {
+  const query = { ...filter };
+  if (cursor) query.$and = [cursorFilter(cursor, op)];
+
+  const dir = op === "$gt" ? 1 : -1;
+  const msgs = await populateHistory(
+    Message.find(query)
+      .sort({ createdAt: dir, _id: dir })
+      .limit(limit + 1)
+  );
+
+  const hasMore = msgs.length > limit;
+  if (hasMore) msgs.pop();
+  if (dir === -1) msgs.reverse();
+  return { msgs, hasMore };
+}
+
+module.exports = { timelineFilter, populateHistory, fetchHistoryPage };
@@ -0,0 +1,221 @@
+// utils/linkPreview.js
+// Open Graph / <title> previews for URLs in message content. Fetched after
+// the message is sent, stored on Message.linkPreviews and pushed with
+// message-updated. The fetcher is pluggable (setLinkPreviewFetcher) so tests
+// can point it at a local stub server.
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const Message = require("../models/Message");
+const LinkPreview = require("../models/LinkPreview");
+const { toBroadcastMessage } = require("./messageFormat");
+const { emitExceptBlockers } = require("./blocks");
+
+const MAX_PREVIEWS_PER_MESSAGE = 3;
+const FETCH_TIMEOUT_MS = Number(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const FETCH_MAX_BYTES = Number(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024;
+const FIELD_MAX_LENGTH = 300;
+
+const URL_RE = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+// loopback, private, link-local, CGNAT, multicast, ... never fetched
+const privateRanges = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  privateRanges.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 127], // :: and ::1
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateRanges.addSubnet(addr, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateRanges.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  if (!family) return true;
+  return privateRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that refuses blocked answers; used for every hop, so redirects are covered too
+const refusingLookup = (isBlocked) => (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isBlocked(a.address))) {
+      return callback(new Error(`Refusing to fetch private address for ${hostname}`));
+    }
+    callback(null, addresses);
+  });
+};
+
+// IP literals skip DNS, so check them by hand
+function assertAllowedHost(hostname, isBlocked) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlocked(host)) throw new Error(`Refusing to fetch private address ${host}`);
+}
+
+/**
+ * Default fetcher: GET with a timeout and size cap, HTML only.
+ * Resolves to { html, url } (url = after redirects).
+ * allowPrivateNetworks turns the address checks off; isBlockedAddress replaces
+ * them (tests serve from one loopback address and block another).
+ */
+function createHttpFetcher({
+  timeoutMs = FETCH_TIMEOUT_MS,
+  maxBytes = FETCH_MAX_BYTES,
+  allowPrivateNetworks = false,
+  isBlockedAddress = isPrivateAddress,
+} = {}) {
+  return async function fetchPage(url) {
+    if (!allowPrivateNetworks) assertAllowedHost(new URL(url).hostname, isBlockedAddress);
+    const res = await axios.get(url, {
+      timeout: timeoutMs,
+      signal: AbortSignal.timeout(timeoutMs), // covers slow bodies, not just the connect
+      maxContentLength: maxBytes,
+      maxRedirects: 3,
+      responseType: "text",
+      headers: { "User-Agent": "CampusBuddyLinkPreview/1.0", Accept: "text/html" },
+      ...(allowPrivateNetworks
+        ? {}
+        : {
+            lookup: refusingLookup(isBlockedAddress),
+            beforeRedirect: (options) => assertAllowedHost(options.hostname, isBlockedAddress),
+          }),
+    });
+    const type = res.headers["content-type"] || "";
+    if (!type.includes("text/html")) throw new Error(`Not an HTML page (${type})`);
+    return { html: res.data, url: res.request?.res?.responseUrl || url };
+  };
+}
+
+let fetcher = createHttpFetcher();
+
+// swap the fetcher (tests); pass nothing to restore the default
+function setLinkPreviewFetcher(fn) {
+  fetcher = fn || createHttpFetcher();
+}
+
+function extractUrls(content) {
+  const urls = [];
+  for (const [raw] of (content || "").matchAll(URL_RE)) {
+    const url = raw.replace(/[.,;:!?)\]]+$/, ""); // trailing punctuation belongs to the sentence
+    if (!urls.includes(url)) urls.push(url);
+    if (urls.length === MAX_PREVIEWS_PER_MESSAGE) break;
+  }
+  return urls;
+}
+
+const decodeEntities = (str) =>
+  str
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+const clean = (str) => (str ? decodeEntities(str).replace(/\s+/g, " ").trim().slice(0, FIELD_MAX_LENGTH) : undefined);
+
+// Open Graph first, then twitter:* and plain <title> / description
+function parseMetadata(html, pageUrl) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i)?.[1]?.toLowerCase();
+    const value = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    if (key && value && meta[key] === undefined) meta[key] = value[1] ?? value[2];
+  }
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+  let image = meta["og:image"] || meta["twitter:image"];
+  try {
+    image = image ? new URL(decodeEntities(image), pageUrl).href : undefined;
+  } catch {
+    image = undefined;
+  }
+
+  return {
+    title: clean(meta["og:title"] || meta["twitter:title"] || titleTag),
+    description: clean(meta["og:description"] || meta["twitter:description"] || meta.description),
+    image,
+    siteName: clean(meta["og:site_name"]) || new URL(pageUrl).hostname,
+  };
+}
+
+const inFlight = new Map(); // url -> promise, so one burst of the same link fetches once
+
+// cached preview for url, fetching it when missing; null when the page has nothing usable
+async function previewFor(url) {
+  const cached = await LinkPreview.findOne({ url });
+  if (cached) return cached.ok ? cached : null;
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const work = (async () => {
+    let entry = { url, ok: false, fetchedAt: new Date() };
+    try {
+      const page = await fetcher(url);
+      const meta = parseMetadata(page.html || "", page.url || url);
+      entry = { ...entry, ...meta, ok: !!(meta.title || meta.description) };
+    } catch (err) {
+      console.warn(`Link preview failed for ${url}:`, err.message);
+    }
+    const saved = await LinkPreview.findOneAndUpdate({ url }, { $set: entry }, { upsert: true, new: true });
+    return saved.ok ? saved : null;
+  })().finally(() => inFlight.delete(url));
+
+  inFlight.set(url, work);
+  return work;
+}
+
+/**
+ * Fill linkPreviews for a message and push message-updated. Safe to call
+ * without awaiting: never throws. Skipped when the content changed in the
+ * meantime (the edit schedules its own run).
+ */
+async function attachLinkPreviews(nsp, message) {
+  try {
+    const content = message.content || "";
+    const urls = extractUrls(content);
+    if (urls.length === 0 && !message.linkPreviews?.length) return;
+
+    const previews = [];
+    for (const url of urls) {
+      const p = await previewFor(url);
+      if (p) previews.push({ url, title: p.title, description: p.description, image: p.image, siteName: p.siteName });
+    }
+
+    const res = await Message.updateOne(
+      { _id: message._id, content, deletedAt: null },
+      { $set: { linkPreviews: previews } }
+    );
+    if (res.modifiedCount === 0) return;
+
+    const fresh = await Message.findById(message._id).populate("sender", "name avatarUrl");
+    await emitExceptBlockers(nsp.to(fresh.chat.toString()), fresh.sender._id, "message-updated", toBroadcastMessage(fresh));
+  } catch (err) {
+    console.error("Link preview error:", err);
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  createHttpFetcher,
+  setLinkPreviewFetcher,
+  extractUrls,
+  parseMetadata,
+  attachLinkPreviews,
+};
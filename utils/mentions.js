@@ -0,0 +1,71 @@
+// utils/mentions.js
+// Mentions in plain-text content:
+//   <@userId>     explicit (what autocomplete inserts)
+//   @Full Name    any room member, matched case-insensitively, longest name first
+//   @all / @here  every member / members online right now
+const User = require("../models/User");
+const { emitToUsers } = require("./realtime");
+const { mutedRoomIds } = require("./mutes");
+
+// in groups bigger than this only admins may ping everyone (@all and @here alike)
+const LARGE_GROUP_SIZE = Number(process.env.LARGE_GROUP_SIZE) || 20;
+
+const EXPLICIT_RE = /<@([0-9a-f]{24})>/gi;
+const GROUP_RE = /(?:^|[^\w@])@(all|here)(?![\w])/i;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Resolves to { mentions: [userId strings], group: "all" | "here" | null } or { error }.
+ * Only room members can be mentioned; the sender is never in the list.
+ */
+async function resolveMentions({ content, room, senderId, presence }) {
+  const text = content || "";
+  const sender = senderId.toString();
+  const memberIds = room.members.map((m) => (m._id || m).toString());
+  const found = new Set();
+  if (!text.includes("@")) return { mentions: [], group: null };
+
+  for (const [, id] of text.matchAll(EXPLICIT_RE)) {
+    if (memberIds.includes(id)) found.add(id);
+  }
+
+  const members = await User.find({ _id: { $in: memberIds } }).select("name");
+  const byLength = members.filter((m) => m.name).sort((a, b) => b.name.length - a.name.length);
+  let rest = text;
+  for (const m of byLength) {
+    const re = new RegExp(`(^|[^\\w@])@${escapeRegExp(m.name)}(?![\\w])`, "gi");
+    if (re.test(rest)) {
+      found.add(m._id.toString());
+      rest = rest.replace(re, "$1"); // "@Ann Lee" must not also count as "@Ann"
+    }
+  }
+
+  const groupMatch = text.match(GROUP_RE);
+  const group = groupMatch ? groupMatch[1].toLowerCase() : null;
+  if (group) {
+    if (room.isGroup && memberIds.length > LARGE_GROUP_SIZE && !room.isAdmin(senderId)) {
+      return { error: `Only admins can use @${group} in groups larger than ${LARGE_GROUP_SIZE}` };
+    }
+    const everyone = memberIds.filter((id) => id !== sender);
+    const targets = group === "all" ? everyone : Array.from(await presence.onlineAmong(everyone));
+    targets.forEach((id) => found.add(id));
+  }
+
+  found.delete(sender);
+  return { mentions: Array.from(found), group };
+}
+
+// personal "mentioned" ping, delivered whether or not they have the room open;
+// skipped for users who blocked the sender or muted the room
+async function notifyMentions(nsp, userIds, message) {
+  const senderId = (message.sender?._id || message.sender).toString();
+  const chatId = message.chat.toString();
+  const users = await User.find({ _id: { $in: userIds } }).select("blockedUsers mutedRooms");
+  const targets = users.filter(
+    (u) => !u.blockedUsers.some((id) => id.toString() === senderId) && !mutedRoomIds(u).includes(chatId)
+  );
+  emitToUsers(nsp, targets, "mentioned", { chatId: message.chat, message });
+}
+
+module.exports = { LARGE_GROUP_SIZE, resolveMentions, notifyMentions };
@@ -0,0 +1,103 @@
+// utils/messageFormat.js
+// Messages store raw reaction rows, favorites and edit history; clients only get summaries.
+
+const DELETED_PLACEHOLDER = "This message was deleted";
+const HIDDEN_PLACEHOLDER = "This message was hidden by a moderator";
+
+const idStr = (v) => (v && v._id ? v._id : v)?.toString();
+
+// what a soft-deleted or moderator-hidden message (or a quote of one) looks like to clients
+function tombstone(obj) {
+  if (obj.deletedAt) {
+    obj.deleted = true;
+    obj.content = DELETED_PLACEHOLDER;
+  } else {
+    obj.hidden = true;
+    obj.content = HIDDEN_PLACEHOLDER;
+  }
+  obj.attachments = [];
+  obj.reactions = [];
+  obj.linkPreviews = [];
+  delete obj.poll;
+  return obj;
+}
+
+const isRemoved = (obj) => !!(obj.deletedAt || obj.hiddenAt);
+
+// drop stored-only fields and hide deleted content, including in the quoted reply
+function baseMessage(msg, viewerId) {
+  const obj = msg.toObject ? msg.toObject() : { ...msg };
+  delete obj.favorites;
+  delete obj.editHistory;
+  delete obj.idempotencyKey;
+  if (obj.poll) obj.poll = summarizePoll(obj.poll, viewerId);
+  if (obj.replyTo && typeof obj.replyTo === "object" && isRemoved(obj.replyTo)) tombstone(obj.replyTo);
+  return obj;
+}
+
+// collapse {emoji, user} rows into {emoji, count, reactedByMe}, in first-use order
+function summarizeReactions(reactions = [], viewerId) {
+  const viewer = idStr(viewerId);
+  const byEmoji = new Map();
+  for (const r of reactions) {
+    const entry = byEmoji.get(r.emoji) || { emoji: r.emoji, count: 0, reactedByMe: false };
+    entry.count += 1;
+    if (viewer && idStr(r.user) === viewer) entry.reactedByMe = true;
+    byEmoji.set(r.emoji, entry);
+  }
+  return Array.from(byEmoji.values());
+}
+
+/**
+ * Poll tallies without the raw vote rows: per option a count (and voter ids
+ * unless anonymous), plus myVotes when a viewer is given. A poll is closed
+ * once closedAt is set or closesAt has passed.
+ */
+function summarizePoll(poll, viewerId) {
+  const viewer = idStr(viewerId);
+  const votes = poll.votes || [];
+  const summary = {
+    question: poll.question,
+    multiple: !!poll.multiple,
+    anonymous: !!poll.anonymous,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    closed: !!poll.closedAt || (!!poll.closesAt && new Date(poll.closesAt) <= new Date()),
+    totalVoters: new Set(votes.map((v) => idStr(v.user))).size,
+    options: (poll.options || []).map((opt) => {
+      const rows = votes.filter((v) => idStr(v.option) === idStr(opt._id));
+      const entry = { _id: opt._id, text: opt.text, count: rows.length };
+      if (!poll.anonymous) entry.voters = rows.map((v) => v.user);
+      return entry;
+    }),
+  };
+  if (viewer) summary.myVotes = votes.filter((v) => idStr(v.user) === viewer).map((v) => v.option);
+  return summary;
+}
+
+// message as seen by one user: aggregated reactions and a personal starred flag
+function toClientMessage(msg, viewerId) {
+  const viewer = idStr(viewerId);
+  const favorites = msg.favorites || [];
+  const obj = baseMessage(msg, viewer);
+  obj.reactions = summarizeReactions(obj.reactions, viewer);
+  obj.starred = !!viewer && favorites.some((id) => idStr(id) === viewer);
+  return isRemoved(obj) ? tombstone(obj) : obj;
+}
+
+// message as broadcast to a whole room: nothing personal; reactions travel via reaction-updated
+function toBroadcastMessage(msg) {
+  const obj = baseMessage(msg);
+  if (isRemoved(obj)) return tombstone(obj);
+  delete obj.reactions;
+  return obj;
+}
+
+module.exports = {
+  DELETED_PLACEHOLDER,
+  HIDDEN_PLACEHOLDER,
+  summarizeReactions,
+  summarizePoll,
+  toClientMessage,
+  toBroadcastMessage,
+};
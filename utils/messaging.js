@@ -0,0 +1,164 @@
+// utils/messaging.js
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const { loadMemberRoom } = require("./roomAccess");
+const { toBroadcastMessage } = require("./messageFormat");
+const { resolveThreadRoot, recordThreadReply } = require("./threads");
+const { broadcastAnnouncement } = require("./pins");
+const { markRoomRead, scheduleUnreadPush } = require("./unread");
+const { resolveMentions, notifyMentions } = require("./mentions");
+const { notifyMany } = require("./notify");
+const { isBlockedBetween, emitExceptBlockers } = require("./blocks");
+const { filterContent } = require("./contentFilter");
+const { attachLinkPreviews } = require("./linkPreview");
+const { parsePoll } = require("./polls");
+
+/**
+ * The one path a chat message is created through (send-message socket
+ * handler, scheduler, ...): checks membership and roles, saves, broadcasts
+ * new-message and updates threads, the room header and unread badges.
+ *
+ * ctx: { nsp, presence }
+ * Resolves to { message (the broadcast shape), doc, room } or { error, code? }.
+ * With payload.idempotencyKey a message that was already posted under that
+ * key is not posted again: resolves to { duplicate: true, doc } instead.
+ */
+async function postMessage(ctx, senderId, payload) {
+  const { nsp, presence } = ctx;
+  const { chatId, attachments = [], clientTempId, forwarded = false, replyTo = null } = payload;
+  const kind = ["announcement", "poll"].includes(payload.kind) ? payload.kind : "text";
+  // threadId: reply inside that message's thread; alsoToChannel: show it in the timeline too
+  const { threadId = null, alsoToChannel = false, idempotencyKey } = payload;
+  const uid = senderId.toString();
+
+  if (idempotencyKey) {
+    const existing = await Message.findOne({ idempotencyKey }).select("_id chat");
+    if (existing) return { duplicate: true, doc: existing };
+  }
+
+  const replyId = replyTo?._id || replyTo || null;
+
+  // polls: the question doubles as the content, so history previews and search just work
+  let poll;
+  if (kind === "poll") {
+    const parsed = parsePoll(payload.poll);
+    if (parsed.error) return { error: parsed.error };
+    poll = parsed.poll;
+  }
+
+  const filtered = filterContent(poll ? poll.question : payload.content);
+  if (filtered.error) return { error: filtered.error, code: filtered.code };
+  const { content } = filtered;
+  if (poll) {
+    poll.question = content;
+    for (const option of poll.options) {
+      const checked = filterContent(option.text);
+      if (checked.error) return { error: checked.error, code: checked.code };
+      option.text = checked.content;
+    }
+  }
+
+  const { room, error } = await loadMemberRoom(chatId, senderId, "_id isGroup owner admins broadcast");
+  if (error) return { error };
+  if (room.broadcast && !room.isAdmin(senderId)) return { error: "Only admins can post in this channel" };
+  if (kind === "announcement" && !(room.isGroup && room.isAdmin(senderId))) {
+    return { error: "Only group admins can post announcements" };
+  }
+  if (kind === "poll" && !room.isGroup) return { error: "Polls are only available in group chats" };
+  if (!room.isGroup) {
+    const other = room.members.find((m) => m.toString() !== uid);
+    if (other && (await isBlockedBetween(senderId, other))) return { error: "You can't message this user" };
+  }
+
+  let threadRoot = null;
+  if (threadId) {
+    const thread = await resolveThreadRoot(threadId, chatId);
+    if (thread.error) return { error: thread.error };
+    threadRoot = thread.root;
+  }
+
+  const mention = await resolveMentions({ content, room, senderId, presence });
+  if (mention.error) return { error: mention.error };
+
+  const msgDoc = new Message({
+    chat: chatId,
+    sender: senderId,
+    content,
+    kind,
+    poll,
+    attachments: poll ? [] : attachments, // already supports uploaded files
+    readBy: [senderId],
+    mentions: mention.mentions,
+    mentionsGroup: mention.group || undefined,
+    forwarded,
+    replyTo: replyId,
+    threadRoot: threadRoot?._id,
+    inTimeline: !threadRoot || !!alsoToChannel,
+    idempotencyKey,
+  });
+
+  try {
+    await msgDoc.save();
+  } catch (err) {
+    // another instance posted the same key in the meantime
+    if (idempotencyKey && err.code === 11000) return { duplicate: true, doc: msgDoc };
+    throw err;
+  }
+  await msgDoc.populate("sender", "name avatarUrl");
+
+  // Populate replyTo if exists
+  if (replyId) {
+    await msgDoc.populate({
+      path: "replyTo",
+      select: "content sender attachments deletedAt hiddenAt",
+      populate: { path: "sender", select: "name avatarUrl" },
+    });
+
+    // Ensure attachments have type
+    if (msgDoc.replyTo?.attachments?.length) {
+      msgDoc.replyTo.attachments = msgDoc.replyTo.attachments.map((att) => ({
+        ...(att.toObject ? att.toObject() : att),
+        type: att.type || "other",
+      }));
+    }
+  }
+
+  // Convert to plain object and include clientTempId
+  const msgObj = { ...toBroadcastMessage(msgDoc), reactions: [], clientTempId };
+
+  // Emit to room (thread-only replies carry threadRoot + inTimeline: false); blockers never see it
+  await emitExceptBlockers(nsp.to(chatId.toString()), senderId, "new-message", msgObj);
+  if (mention.mentions.length > 0) await notifyMentions(nsp, mention.mentions, msgObj);
+  attachLinkPreviews(nsp, msgDoc); // async: arrives later as message-updated
+  if (threadRoot) await recordThreadReply(nsp, threadRoot, msgDoc);
+  if (kind === "announcement") {
+    await Room.updateOne({ _id: chatId }, { $set: { announcement: msgDoc._id } });
+    await broadcastAnnouncement(nsp, chatId);
+  }
+
+  // whoever was quoted or started the thread hears about the reply
+  const repliedTo = new Set();
+  if (msgDoc.replyTo?.sender) repliedTo.add((msgDoc.replyTo.sender._id || msgDoc.replyTo.sender).toString());
+  if (threadRoot) repliedTo.add(threadRoot.sender.toString());
+  repliedTo.delete(uid);
+  if (repliedTo.size > 0) {
+    await notifyMany(nsp, Array.from(repliedTo), {
+      actor: senderId,
+      category: "reply",
+      text: `${msgDoc.sender.name} replied: ${content || "(attachment)"}`.slice(0, 200),
+      data: { roomId: chatId, messageId: msgDoc._id, threadId: threadRoot?._id },
+    });
+  }
+
+  // sender has obviously read up to here; everyone else online gets a fresh badge.
+  // A thread-only reply isn't on the timeline, so it moves neither.
+  if (msgDoc.inTimeline) {
+    await markRoomRead(chatId, senderId, msgDoc._id);
+    const others = room.members.map(String).filter((mid) => mid !== uid);
+    for (const mid of await presence.onlineAmong(others)) scheduleUnreadPush(nsp, mid, chatId);
+  }
+
+  return { message: msgObj, doc: msgDoc, room };
+}
+
+module.exports = { postMessage };
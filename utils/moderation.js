@@ -0,0 +1,157 @@
+// utils/moderation.js
+// Reports are filed through the message / resource routers and resolved in
+// routes/moderationRoutes. The content actions live here so a decision does
+// the same thing as the owner deleting their own message or resource.
+const Message = require("../models/Message");
+const Resource = require("../models/Resource");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const { toBroadcastMessage } = require("./messageFormat");
+const { detachDeletedMessage } = require("./pins");
+const { adjustThreadReplies } = require("./threads");
+const { userRoom, MODERATION_ROOM } = require("./realtime");
+const { destroyResource } = require("./resources");
+
+const SNAPSHOT_LENGTH = 500;
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 1000; // ModerationAction.note
+const MAX_SUSPENSION_DAYS = 365;
+
+// the fields that identify what a report (or decision) is about
+function targetKey({ targetType, message, resource, comment }) {
+  const key = { targetType };
+  if (targetType === "message") key.message = message;
+  else key.resource = resource;
+  if (targetType === "comment") key.comment = comment;
+  return key;
+}
+
+/**
+ * target: { targetType, message?, resource?, comment?, author, snapshot }
+ * Resolves to { report } or { status, error }. One open report per reporter and target.
+ * Moderators following the queue (join-moderation) get report-filed.
+ */
+async function fileReport(nsp, reporterId, target, body = {}) {
+  const { reason, details } = body;
+  if (!Report.REASONS.includes(reason)) {
+    return { status: 400, error: `reason must be one of: ${Report.REASONS.join(", ")}` };
+  }
+  if (details !== undefined && (typeof details !== "string" || details.length > MAX_DETAILS_LENGTH)) {
+    return { status: 400, error: `details must be text of at most ${MAX_DETAILS_LENGTH} characters` };
+  }
+  if (target.author && target.author.toString() === reporterId.toString()) {
+    return { status: 400, error: "You can't report your own content" };
+  }
+
+  const key = targetKey(target);
+  if (await Report.exists({ ...key, reporter: reporterId, status: "open" })) {
+    return { status: 409, error: "You already reported this" };
+  }
+
+  const report = await Report.create({
+    ...key,
+    reporter: reporterId,
+    author: target.author,
+    snapshot: (target.snapshot || "").slice(0, SNAPSHOT_LENGTH),
+    reason,
+    details,
+  });
+  nsp.to(MODERATION_ROOM).emit("report-filed", {
+    reportId: report._id,
+    targetType: report.targetType,
+    reason: report.reason,
+    createdAt: report.createdAt,
+  });
+  return { report };
+}
+
+/**
+ * Hide or delete whatever the report points at. Content that is already
+ * gone is not an error: the decision is still recorded.
+ */
+async function moderateContent(nsp, report, action, moderatorId) {
+  const now = new Date();
+
+  if (report.targetType === "message") {
+    const message = await Message.findById(report.message);
+    if (!message || message.deletedAt) return;
+    if (action === "hide") {
+      message.hiddenAt = now;
+      message.hiddenBy = moderatorId;
+      await message.save();
+      await message.populate("sender", "name avatarUrl");
+      nsp.to(message.chat.toString()).emit("message-updated", toBroadcastMessage(message));
+    } else {
+      // same tombstone + purge path as DELETE /api/messages/:id, but the sender can't undo it
+      message.deletedAt = now;
+      message.deletedBy = moderatorId;
+      await message.save();
+      await adjustThreadReplies(nsp, message, -1);
+      nsp.to(message.chat.toString()).emit("message-deleted", {
+        messageId: message._id,
+        chatId: message.chat,
+        deletedAt: message.deletedAt,
+      });
+    }
+    await detachDeletedMessage(nsp, message);
+    return;
+  }
+
+  if (report.targetType === "resource") {
+    if (action === "hide") {
+      await Resource.updateOne({ _id: report.resource }, { $set: { hiddenAt: now, hiddenBy: moderatorId } });
+    } else {
+      const resource = await Resource.findById(report.resource);
+      if (resource) await destroyResource(resource);
+    }
+    return;
+  }
+
+  // comment
+  if (action === "hide") {
+    await Resource.updateOne(
+      { _id: report.resource, "comments._id": report.comment },
+      { $set: { "comments.$.hiddenAt": now, "comments.$.hiddenBy": moderatorId } }
+    );
+  } else {
+    await Resource.updateOne({ _id: report.resource }, { $pull: { comments: { _id: report.comment } } });
+  }
+}
+
+/**
+ * Checks a decision's note and suspension length before anything is acted on,
+ * so a bad request can't leave a side effect without its ModerationAction.
+ * Returns an error message or null. `noteField` names the note in the message.
+ */
+function decisionProblem({ note, days } = {}, noteField = "note") {
+  if (note != null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+    return `${noteField} must be text of at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS)) {
+    return `days must be between 1 and ${MAX_SUSPENSION_DAYS}`;
+  }
+  return null;
+}
+
+// when a suspension of `days` starting now ends; undefined = indefinitely
+const suspensionEnd = (days, now = new Date()) =>
+  days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : undefined;
+
+// suspend until `until` (omit for indefinitely) and drop every live socket of the user
+async function suspendUser(nsp, userId, { until, reason } = {}) {
+  const update = { $set: { suspendedAt: new Date(), suspensionReason: reason } };
+  if (until) update.$set.suspendedUntil = until;
+  else update.$unset = { suspendedUntil: "" };
+
+  await User.updateOne({ _id: userId }, update);
+  nsp.in(userRoom(userId.toString())).disconnectSockets(true);
+}
+
+module.exports = {
+  targetKey,
+  fileReport,
+  moderateContent,
+  decisionProblem,
+  suspensionEnd,
+  suspendUser,
+};
@@ -0,0 +1,18 @@
+// utils/mutes.js
+// Muted rooms (User.mutedRooms) produce no unread badges and no
+// notifications until `until` passes; until = null means until unmuted.
+const User = require("../models/User");
+
+const isActiveMute = (mute, now = new Date()) => !mute.until || mute.until > now;
+
+// ids (strings) of the rooms the user has muted right now
+function mutedRoomIds(user) {
+  return (user?.mutedRooms || []).filter((m) => isActiveMute(m)).map((m) => m.room.toString());
+}
+
+async function isRoomMuted(userId, roomId) {
+  const user = await User.findById(userId).select("mutedRooms");
+  return mutedRoomIds(user).includes(roomId.toString());
+}
+
+module.exports = { isActiveMute, mutedRoomIds, isRoomMuted };
@@ -0,0 +1,37 @@
+// utils/notify.js
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { userRoom } = require("./realtime");
+const { mutedRoomIds } = require("./mutes");
+
+/**
+ * Store a notification and push it to every socket of the recipient.
+ * Skipped when the recipient is the actor, has the category turned off,
+ * blocked the actor or muted the room it is about (data.roomId).
+ * Never throws: a failed notification must not fail the action behind it.
+ */
+async function notify(nsp, { user, actor, category, text, data = {} }) {
+  try {
+    if (!user || (actor && user.toString() === actor.toString())) return null;
+
+    const recipient = await User.findById(user).select("notificationPrefs blockedUsers mutedRooms");
+    if (!recipient || recipient.notificationPrefs?.[category] === false) return null;
+    if (actor && recipient.blockedUsers.some((id) => id.equals(actor._id || actor))) return null;
+    if (data.roomId && mutedRoomIds(recipient).includes(data.roomId.toString())) return null;
+
+    const notification = await Notification.create({ user, actor, category, text, data });
+    await notification.populate("actor", "name avatarUrl");
+    nsp.to(userRoom(user.toString())).emit("notification", notification);
+    return notification;
+  } catch (err) {
+    console.error("Notification error:", err);
+    return null;
+  }
+}
+
+// same notification for several recipients
+function notifyMany(nsp, users, payload) {
+  return Promise.all(users.map((user) => notify(nsp, { ...payload, user })));
+}
+
+module.exports = { notify, notifyMany };
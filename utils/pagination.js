@@ -0,0 +1,21 @@
+// utils/pagination.js
+
+// clamp ?limit= into [1, max], falling back to def
+function parseLimit(value, def, max) {
+  return Math.min(Math.max(parseInt(value, 10) || def, 1), max);
+}
+
+/**
+ * Filter for keyset pagination over (createdAt, _id).
+ * op is "$lt" for older-than-cursor pages and "$gt" for newer ones.
+ */
+function cursorFilter(cursor, op) {
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ],
+  };
+}
+
+module.exports = { parseLimit, cursorFilter };
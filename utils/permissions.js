@@ -0,0 +1,64 @@
+// utils/permissions.js
+// Platform roles (User.role) and what each one is allowed to do. These are
+// separate from the per-room owner / admin / member roles on models/Room.
+const User = require("../models/User");
+
+const PERMISSIONS = {
+  "moderation:review": ["moderator", "admin"],
+  "resources:official": ["faculty", "admin"],
+  "rooms:broadcast": ["faculty", "admin"],
+  "users:manage": ["admin"],
+};
+
+const hasRole = (user, roles) => !!user && roles.includes(user.role);
+const hasPermission = (user, permission) => hasRole(user, PERMISSIONS[permission] || []);
+
+// socket.user is loaded once at the handshake; re-read the role so a change applies to open connections
+async function refreshSocketRole(socket) {
+  const fresh = await User.findById(socket.user._id).select("role");
+  socket.user.role = fresh?.role;
+  return socket.user;
+}
+
+/**
+ * Middleware for both transports:
+ *   Express    router.post("/", authMiddleware, requireRole("admin"), handler)
+ *              (req.user is loaded per request by authMiddleware, so it is always current)
+ *   Socket.IO  chatNs.use(requireRole("admin")) or guardEvent(socket, requireRole("admin"), handler)
+ */
+function requireRole(...roles) {
+  return async function roleGuard(target, resOrNext, next) {
+    if (typeof next === "function") {
+      if (!hasRole(target.user, roles)) {
+        return resOrNext.status(403).json({ error: "You don't have permission to do that", code: "forbidden" });
+      }
+      return next();
+    }
+    try {
+      const user = await refreshSocketRole(target);
+      if (!hasRole(user, roles)) return resOrNext(new Error("You don't have permission to do that"));
+      resOrNext();
+    } catch (err) {
+      resOrNext(err);
+    }
+  };
+}
+
+const can = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return requireRole(...PERMISSIONS[permission]);
+};
+
+// socket.on("event", guardEvent(socket, can("..."), async (payload, ack) => ...)): refused calls get
+// ack({ status: "error", error, code: "forbidden" }) like every other socket ack error
+function guardEvent(socket, guard, handler) {
+  return (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+    guard(socket, (err) => {
+      if (err) return ack?.({ status: "error", error: err.message, code: "forbidden" });
+      handler(...args);
+    });
+  };
+}
+
+module.exports = { PERMISSIONS, hasRole, hasPermission, requireRole, can, guardEvent };
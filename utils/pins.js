@@ -0,0 +1,53 @@
+// utils/pins.js
+// Room header: pinned messages and the current announcement.
+const Room = require("../models/Room");
+const { toBroadcastMessage } = require("./messageFormat");
+
+const MAX_PINS_PER_ROOM = Number(process.env.MAX_PINS_PER_ROOM) || 10;
+
+// deleted and moderator-hidden messages populate as null and drop out of the header
+const visibleWithSender = {
+  match: { deletedAt: null, hiddenAt: null },
+  populate: { path: "sender", select: "name avatarUrl" },
+};
+
+// pins (oldest first) and announcement, each message shaped by `format`
+async function loadRoomHeader(roomId, format) {
+  const room = await Room.findById(roomId)
+    .select("pinnedMessages announcement")
+    .populate({ path: "pinnedMessages.message", ...visibleWithSender })
+    .populate({ path: "announcement", ...visibleWithSender });
+  if (!room) return { pins: [], announcement: null };
+
+  const pins = room.pinnedMessages
+    .filter((p) => p.message)
+    .map((p) => ({ message: format(p.message), pinnedBy: p.pinnedBy, pinnedAt: p.pinnedAt }));
+  const announcement = room.announcement ? format(room.announcement) : null;
+  return { pins, announcement };
+}
+
+async function broadcastPins(nsp, roomId) {
+  const { pins } = await loadRoomHeader(roomId, toBroadcastMessage);
+  nsp.to(roomId.toString()).emit("pins-updated", { chatId: roomId, pins });
+}
+
+async function broadcastAnnouncement(nsp, roomId) {
+  const { announcement } = await loadRoomHeader(roomId, toBroadcastMessage);
+  nsp.to(roomId.toString()).emit("announcement-updated", { chatId: roomId, announcement });
+}
+
+// a deleted message leaves the pin list and the header
+async function detachDeletedMessage(nsp, message) {
+  const unpinned = await Room.updateOne(
+    { _id: message.chat },
+    { $pull: { pinnedMessages: { message: message._id } } }
+  );
+  const cleared = await Room.updateOne(
+    { _id: message.chat, announcement: message._id },
+    { $unset: { announcement: "" } }
+  );
+  if (unpinned.modifiedCount > 0) await broadcastPins(nsp, message.chat);
+  if (cleared.modifiedCount > 0) await broadcastAnnouncement(nsp, message.chat);
+}
+
+module.exports = { MAX_PINS_PER_ROOM, loadRoomHeader, broadcastPins, broadcastAnnouncement, detachDeletedMessage };
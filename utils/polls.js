@@ -0,0 +1,132 @@
+// utils/polls.js
+// Poll messages (Message.kind "poll"): validation, voting and closing. Used by
+// utils/messaging (creation), the poll-vote socket event, the REST routes and
+// jobs/pollCloser. Every change is broadcast to the room as poll-updated.
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const { loadMemberMessage } = require("./roomAccess");
+const { summarizePoll } = require("./messageFormat");
+const { emitExceptBlockers } = require("./blocks");
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DAYS = 90;
+
+const isPollOpen = (poll, now = new Date()) => !poll.closedAt && (!poll.closesAt || poll.closesAt > now);
+
+// { question, options: [text], multiple?, anonymous?, closesAt? } -> { poll } or { error }
+function parsePoll(input) {
+  if (!input || typeof input !== "object") return { error: "poll is required" };
+  const question = typeof input.question === "string" ? input.question.trim() : "";
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    return { error: `Poll question must be 1-${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const texts = Array.isArray(input.options) ? input.options.map((o) => (typeof o === "string" ? o.trim() : "")) : [];
+  if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) {
+    return { error: `A poll needs ${MIN_OPTIONS}-${MAX_OPTIONS} options` };
+  }
+  if (texts.some((t) => !t || t.length > MAX_OPTION_LENGTH)) {
+    return { error: `Options must be 1-${MAX_OPTION_LENGTH} characters` };
+  }
+  if (new Set(texts.map((t) => t.toLowerCase())).size !== texts.length) return { error: "Options must be unique" };
+
+  let closesAt;
+  if (input.closesAt !== undefined && input.closesAt !== null) {
+    closesAt = new Date(input.closesAt);
+    const now = Date.now();
+    if (isNaN(closesAt)) return { error: "Invalid closesAt" };
+    if (closesAt <= now) return { error: "closesAt must be in the future" };
+    if (closesAt - now > MAX_POLL_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Polls can stay open at most ${MAX_POLL_DAYS} days` };
+    }
+  }
+
+  return {
+    poll: {
+      question,
+      options: texts.map((text) => ({ text })),
+      multiple: !!input.multiple,
+      anonymous: !!input.anonymous,
+      closesAt,
+    },
+  };
+}
+
+// live tallies (no personal myVotes) to everyone in the room
+async function broadcastPoll(nsp, message) {
+  await emitExceptBlockers(nsp.to(message.chat.toString()), message.sender, "poll-updated", {
+    messageId: message._id,
+    chatId: message.chat,
+    poll: summarizePoll(message.poll),
+  });
+}
+
+// loads a poll message the user can see; { message } or { status, error }
+async function loadPoll(messageId, userId) {
+  const access = await loadMemberMessage(messageId, userId);
+  if (access.error) return access;
+  const { message } = access;
+  if (message.kind !== "poll" || !message.poll || message.deletedAt || message.hiddenAt) {
+    return { status: 404, error: "Poll not found" };
+  }
+  return { message, room: access.room };
+}
+
+/**
+ * Replace the user's votes with optionIds (empty array = take my vote back).
+ * Resolves to { poll } (summary with myVotes) or { status, error }.
+ */
+async function castVote(nsp, userId, messageId, optionIds) {
+  if (!Array.isArray(optionIds)) return { status: 400, error: "optionIds must be an array" };
+  const { message, status, error } = await loadPoll(messageId, userId);
+  if (error) return { status, error };
+  if (!isPollOpen(message.poll)) return { status: 409, error: "Poll is closed" };
+
+  const chosen = Array.from(new Set(optionIds.map(String)));
+  const valid = new Set(message.poll.options.map((o) => o._id.toString()));
+  if (chosen.some((id) => !valid.has(id))) return { status: 400, error: "Unknown option" };
+  if (!message.poll.multiple && chosen.length > 1) return { status: 400, error: "This poll allows only one choice" };
+
+  const uid = new mongoose.Types.ObjectId(String(userId));
+  const rows = chosen.map((id) => ({ user: uid, option: new mongoose.Types.ObjectId(id) }));
+  const now = new Date();
+  // one atomic swap of my rows, and only while the poll is still open
+  const res = await Message.updateOne(
+    {
+      _id: message._id,
+      "poll.closedAt": null,
+      $or: [{ "poll.closesAt": null }, { "poll.closesAt": { $gt: now } }],
+    },
+    [
+      {
+        $set: {
+          "poll.votes": {
+            $concatArrays: [{ $filter: { input: "$poll.votes", cond: { $ne: ["$$this.user", uid] } } }, rows],
+          },
+        },
+      },
+    ]
+  );
+  if (res.matchedCount === 0) return { status: 409, error: "Poll is closed" };
+
+  const fresh = await Message.findById(message._id).select("chat sender poll");
+  await broadcastPoll(nsp, fresh);
+  return { poll: summarizePoll(fresh.poll, userId) };
+}
+
+// close now (creator, room admin or the close job); false when it was already closed
+async function closePoll(nsp, messageId) {
+  const fresh = await Message.findOneAndUpdate(
+    { _id: messageId, kind: "poll", "poll.closedAt": null },
+    { $set: { "poll.closedAt": new Date() } },
+    { new: true }
+  ).select("chat sender poll");
+  if (!fresh) return false;
+  await broadcastPoll(nsp, fresh);
+  return true;
+}
+
+module.exports = { isPollOpen, parsePoll, loadPoll, castVote, closePoll, broadcastPoll };
@@ -0,0 +1,138 @@
+// utils/presence.js
+// Who is online. Every store has the same async contract:
+//   addSocket(userId, socketId)    -> true when it is the user's first socket
+//   removeSocket(userId, socketId) -> true when it was the user's last socket
+//   isOnline(userId)               -> boolean
+//   onlineAmong(userIds)           -> Set of online user id strings
+//   onlineUserIds()                -> array of user id strings
+//   sweepStale()                   -> user id strings that went offline with a dead instance
+//   close()
+const os = require("os");
+const Presence = require("../models/Presence");
+
+// single instance (and tests): Map<userId, Set<socketId>>
+function createMemoryPresenceStore() {
+  const sockets = new Map();
+  return {
+    async addSocket(userId, socketId) {
+      const uid = userId.toString();
+      const set = sockets.get(uid) || new Set();
+      const first = set.size === 0;
+      set.add(socketId);
+      sockets.set(uid, set);
+      return first;
+    },
+    async removeSocket(userId, socketId) {
+      const uid = userId.toString();
+      const set = sockets.get(uid);
+      if (!set) return false;
+      set.delete(socketId);
+      if (set.size > 0) return false;
+      sockets.delete(uid);
+      return true;
+    },
+    async isOnline(userId) {
+      return sockets.has(userId.toString());
+    },
+    async onlineAmong(userIds) {
+      return new Set(userIds.map(String).filter((id) => sockets.has(id)));
+    },
+    async onlineUserIds() {
+      return Array.from(sockets.keys());
+    },
+    async sweepStale() {
+      return []; // sockets of this process are removed on disconnect
+    },
+    async close() {
+      sockets.clear();
+    },
+  };
+}
+
+// several instances behind a load balancer: one Presence document per online user
+// holds their sockets, and every transition is one atomic update of it whose
+// result says whether the user came online / went offline. Sockets of an
+// instance that stopped heartbeating for staleMs are pulled by sweepStale (run
+// by jobs/presenceSweep) so the users behind them can be announced offline.
+function createMongoPresenceStore({
+  nodeId = `${os.hostname()}:${process.pid}`,
+  heartbeatMs = 30 * 1000,
+  staleMs = 3 * heartbeatMs,
+  model = Presence,
+} = {}) {
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    model
+      .updateMany(
+        { "sockets.node": nodeId },
+        { $set: { "sockets.$[mine].seenAt": now, seenAt: now } },
+        { arrayFilters: [{ "mine.node": nodeId }] }
+      )
+      .catch((err) => console.error("Presence heartbeat error:", err));
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  const online = { "sockets.0": { $exists: true } };
+
+  // the update emptied the document: drop it unless a new socket got in first
+  const dropIfEmpty = (userId) => model.deleteOne({ _id: userId, sockets: { $size: 0 } });
+
+  return {
+    async addSocket(userId, socketId) {
+      const now = new Date();
+      // the document as it was before the push: missing or empty means first socket
+      const before = await model.findOneAndUpdate(
+        { _id: userId },
+        { $push: { sockets: { _id: socketId, node: nodeId, seenAt: now } }, $set: { seenAt: now } },
+        { upsert: true, new: false }
+      );
+      return !before?.sockets?.length;
+    },
+    async removeSocket(userId, socketId) {
+      const after = await model.findOneAndUpdate(
+        { _id: userId, "sockets._id": socketId },
+        { $pull: { sockets: { _id: socketId } } },
+        { new: true }
+      );
+      if (!after) return false; // unknown, or already swept and announced
+      if (after.sockets.length > 0) return false;
+      await dropIfEmpty(userId);
+      return true;
+    },
+    async isOnline(userId) {
+      return !!(await model.exists({ _id: userId, ...online }));
+    },
+    async onlineAmong(userIds) {
+      const ids = await model.distinct("_id", { _id: { $in: userIds }, ...online });
+      return new Set(ids.map(String));
+    },
+    async onlineUserIds() {
+      return (await model.distinct("_id", online)).map(String);
+    },
+    async sweepStale() {
+      const cutoff = new Date(Date.now() - staleMs);
+      const stale = { sockets: { $elemMatch: { seenAt: { $lt: cutoff } } } };
+      const users = await model.distinct("_id", stale);
+      // every instance sweeps; a user is reported by whichever one pulled their last socket
+      const wentOffline = [];
+      for (const userId of users) {
+        const after = await model.findOneAndUpdate(
+          { _id: userId, ...stale },
+          { $pull: { sockets: { seenAt: { $lt: cutoff } } } },
+          { new: true }
+        );
+        if (!after || after.sockets.length > 0) continue;
+        await dropIfEmpty(userId);
+        wentOffline.push(userId.toString());
+      }
+      return wentOffline;
+    },
+    async close() {
+      clearInterval(heartbeat);
+      await model.updateMany({ "sockets.node": nodeId }, { $pull: { sockets: { node: nodeId } } });
+      await model.deleteMany({ sockets: { $size: 0 } });
+    },
+  };
+}
+
+module.exports = { createMemoryPresenceStore, createMongoPresenceStore };
@@ -0,0 +1,66 @@
+// utils/profile.js
+// The public part of a user (directory, contact list, user-updated events)
+// and validation for PATCH /api/me.
+const { nameProblem } = require("./verification");
+
+const PROFILE_FIELDS = "name avatarUrl bio stream semester department";
+const MAX_BIO_LENGTH = 500;
+const MAX_FIELD_LENGTH = 100; // stream / department
+const MAX_SEMESTER = 12;
+
+// until they upload their own
+const defaultAvatarUrl = (email) => `https://i.pravatar.cc/150?u=${email}`;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const nameSearch = (q) => new RegExp(escapeRegExp(q.trim()), "i");
+
+function publicProfile(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    avatarUrl: user.avatarUrl,
+    bio: user.bio || "",
+    stream: user.stream || null,
+    semester: user.semester ?? null,
+    department: user.department || null,
+  };
+}
+
+/**
+ * Validate a PATCH /api/me body; only present fields are checked, and
+ * null / "" clears an optional one. Resolves to { $set, $unset } or { error }.
+ */
+function parseProfileUpdate(body = {}) {
+  const $set = {};
+  const $unset = {};
+  const clear = (v) => v === null || v === "";
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    const bad = nameProblem(name);
+    if (bad) return { error: bad };
+    $set.name = name;
+  }
+  if (body.bio !== undefined) {
+    if (clear(body.bio)) $unset.bio = "";
+    else if (typeof body.bio !== "string" || body.bio.length > MAX_BIO_LENGTH) {
+      return { error: `bio must be text of at most ${MAX_BIO_LENGTH} characters` };
+    } else $set.bio = body.bio.trim();
+  }
+  for (const key of ["stream", "department"]) {
+    if (body[key] === undefined) continue;
+    if (clear(body[key])) $unset[key] = "";
+    else if (typeof body[key] !== "string" || !body[key].trim() || body[key].length > MAX_FIELD_LENGTH) {
+      return { error: `${key} must be text of at most ${MAX_FIELD_LENGTH} characters` };
+    } else $set[key] = body[key].trim();
+  }
+  if (body.semester !== undefined) {
+    if (clear(body.semester)) $unset.semester = "";
+    else if (!Number.isInteger(body.semester) || body.semester < 1 || body.semester > MAX_SEMESTER) {
+      return { error: `semester must be a whole number from 1 to ${MAX_SEMESTER}` };
+    } else $set.semester = body.semester;
+  }
+  return { $set, $unset };
+}
+
+module.exports = { PROFILE_FIELDS, defaultAvatarUrl, nameSearch, publicProfile, parseProfileUpdate };
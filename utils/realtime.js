@@ -0,0 +1,14 @@
+// utils/realtime.js
+// Every /chat socket joins a personal room so we can reach all of a user's
+// connections without knowing their socket ids.
+const userRoom = (userId) => `user:${userId}`;
+// moderators' sockets join this (join-moderation) to hear about new reports live
+const MODERATION_ROOM = "moderation";
+
+// emit only to the given users (ids or populated user docs)
+function emitToUsers(nsp, userIds, event, payload) {
+  const rooms = Array.from(new Set(userIds.filter(Boolean).map((u) => userRoom((u._id || u).toString()))));
+  if (rooms.length > 0) nsp.to(rooms).emit(event, payload);
+}
+
+module.exports = { userRoom, MODERATION_ROOM, emitToUsers };
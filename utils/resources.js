@@ -0,0 +1,25 @@
+// utils/resources.js
+const cloudinary = require("cloudinary").v2;
+const Resource = require("../models/Resource");
+
+// a resource as the library shows it: comments hidden by a moderator are left out
+function visibleResource(resource) {
+  const obj = resource.toObject ? resource.toObject() : { ...resource };
+  obj.comments = (obj.comments || []).filter((c) => !c.hiddenAt);
+  return obj;
+}
+
+// remove the Cloudinary file (best effort) and the document
+async function destroyResource(resource) {
+  if (resource.fileUrl && resource.fileUrl.includes("cloudinary")) {
+    try {
+      const publicId = resource.fileUrl.split("/").pop().split(".")[0];
+      await cloudinary.uploader.destroy(publicId);
+    } catch (cloudErr) {
+      console.warn("Cloudinary delete warning:", cloudErr.message);
+    }
+  }
+  await Resource.findByIdAndDelete(resource._id);
+}
+
+module.exports = { visibleResource, destroyResource };
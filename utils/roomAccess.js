@@ -0,0 +1,46 @@
+// utils/roomAccess.js
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+
+// true when userId is listed in room.members (works on populated and raw ids)
+function isRoomMember(room, userId) {
+  if (!room || !userId) return false;
+  const uid = userId.toString();
+  return room.members.some((m) => (m._id || m).toString() === uid);
+}
+
+/**
+ * Load a room and make sure the user belongs to it.
+ * Resolves to { room } on success or { status, error } ready to send back.
+ */
+async function loadMemberRoom(roomId, userId, projection) {
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    return { status: 400, error: "Invalid chat ID" };
+  }
+  const query = Room.findById(roomId);
+  if (projection) query.select(`${projection} members`);
+  const room = await query;
+  if (!room) return { status: 404, error: "Chat not found" };
+  if (!isRoomMember(room, userId)) {
+    return { status: 403, error: "You are not a member of this chat" };
+  }
+  return { room };
+}
+
+/**
+ * Load a message whose room the user belongs to.
+ * Resolves to { message, room } or { status, error }.
+ */
+async function loadMemberMessage(messageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { status: 400, error: "Invalid message ID" };
+  }
+  const message = await Message.findById(messageId);
+  if (!message) return { status: 404, error: "Message not found" };
+  const access = await loadMemberRoom(message.chat, userId);
+  if (access.error) return access;
+  return { message, room: access.room };
+}
+
+module.exports = { isRoomMember, loadMemberRoom, loadMemberMessage };
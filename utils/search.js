@@ -0,0 +1,58 @@
+// utils/search.js
+// Query parsing and snippet highlighting for GET /api/messages/search.
+const Message = require("../models/Message");
+
+const ATTACHMENT_TYPES = Message.schema.path("attachments").schema.path("type").enumValues;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Split a raw query into the $text search string and inline filters.
+ * "lab report has:pdf" -> { text: "lab report", terms: ["lab", "report"], has: ["pdf"] }
+ */
+function parseSearchQuery(raw = "") {
+  const has = new Set();
+  const words = [];
+  for (const token of raw.trim().split(/\s+/).filter(Boolean)) {
+    const m = token.match(/^has:(\w+)$/i);
+    if (m && ATTACHMENT_TYPES.includes(m[1].toLowerCase())) has.add(m[1].toLowerCase());
+    else words.push(token);
+  }
+  // negated words ("-draft") narrow the search but are never highlighted
+  const terms = words
+    .filter((w) => !w.startsWith("-"))
+    .map((w) => w.replace(/^"+|"+$/g, ""))
+    .filter(Boolean);
+  return { text: words.join(" "), terms, has: Array.from(has) };
+}
+
+/**
+ * Cut a window of content around the first matching term.
+ * Highlights are { start, length } offsets into the returned text, so the
+ * client decides how to render them (no HTML from the server).
+ */
+function buildSnippet(content = "", terms = []) {
+  const lower = content.toLowerCase();
+  const needles = terms.map((t) => t.toLowerCase());
+
+  const hits = needles.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const first = hits.length > 0 ? Math.min(...hits) : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first + SNIPPET_RADIUS * 2);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const text = prefix + content.slice(start, end) + suffix;
+
+  const highlights = [];
+  const window = lower.slice(start, end);
+  for (const needle of needles) {
+    for (let i = window.indexOf(needle); i >= 0; i = window.indexOf(needle, i + needle.length)) {
+      highlights.push({ start: prefix.length + i, length: needle.length });
+    }
+  }
+  highlights.sort((a, b) => a.start - b.start);
+
+  return { text, highlights };
+}
+
+module.exports = { ATTACHMENT_TYPES, parseSearchQuery, buildSnippet };
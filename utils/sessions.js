@@ -0,0 +1,188 @@
+// utils/sessions.js
+// Short-lived JWT access tokens ({ id, sid }) plus rotating refresh tokens
+// backed by the Session collection. Every access token is checked against its
+// session, so revoking a session takes effect on the next request; live
+// sockets of the session are disconnected right away.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { userRoom } = require("./realtime");
+
+const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// every socket of a session joins this room so revoking can reach them
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+function describeDevice(userAgent = "") {
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\//.test(userAgent) && "Opera") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    null;
+  const os =
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad|iOS/.test(userAgent) && "iOS") ||
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
+
+// what we record about the client making the request
+const clientInfo = (req) => {
+  const userAgent = req.get("user-agent") || "";
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id.toString(), sid: session._id.toString(), name: user.name }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// the login / register / refresh response body
+const tokenResponse = (user, session, refreshSecret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${refreshSecret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id,
+});
+
+// new session for a freshly authenticated user; resolves to the token response
+async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return tokenResponse(user, session, secret);
+}
+
+async function revokeSession(nsp, sessionId, reason) {
+  const res = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  nsp?.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+  return res.modifiedCount > 0;
+}
+
+// every session of the user (except `exceptSessionId`); resolves to how many were revoked
+async function revokeAllSessions(nsp, userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const ids = await Session.find(filter).distinct("_id");
+  if (ids.length === 0) return 0;
+  await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  if (nsp) {
+    if (exceptSessionId) ids.forEach((id) => nsp.in(sessionRoom(id.toString())).disconnectSockets(true));
+    else nsp.in(userRoom(userId.toString())).disconnectSockets(true);
+  }
+  return ids.length;
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair. The old
+ * refresh token stops working; presenting it again means it was copied, so
+ * the whole session is revoked.
+ * Resolves to the token response plus { user } or { error }.
+ */
+async function rotateSession(nsp, rawToken, req) {
+  const [sid, secret] = String(rawToken || "").split(".");
+  if (!mongoose.Types.ObjectId.isValid(sid) || !secret) return { error: "Invalid refresh token" };
+
+  const session = await Session.findById(sid);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return { error: "Session expired" };
+
+  const hash = hashSecret(secret);
+  if (hash !== session.refreshTokenHash) {
+    if (hash === session.previousTokenHash) await revokeSession(nsp, session._id, "token_reuse");
+    return { error: "Invalid refresh token" };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) return { error: "User not found" };
+  if (user.isSuspended()) return { error: "Account suspended" };
+
+  const next = newSecret();
+  // conditional on the old hash, so two racing refreshes can't both win
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(next),
+        previousTokenHash: hash,
+        lastUsedAt: new Date(),
+        ...clientInfo(req),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return { error: "Invalid refresh token" };
+  return { ...tokenResponse(user, updated, next), user };
+}
+
+/**
+ * Access token -> { user, session } or { error }. Shared by the REST
+ * authMiddleware and the /chat handshake; suspension is checked by callers.
+ */
+async function authenticate(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return { error: "Invalid token" };
+  }
+  if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) return { error: "Invalid token" };
+
+  const [session, user] = await Promise.all([
+    Session.findById(payload.sid).select("user revokedAt expiresAt"),
+    User.findById(payload.id),
+  ]);
+  if (!user) return { error: "User not found" };
+  if (!session || session.revokedAt || !session.user.equals(user._id)) return { error: "Session revoked" };
+  return { user, session };
+}
+
+// step 1 of a 2FA login: proves the password was right and nothing else (no sid,
+// so authenticate() refuses it as an access token)
+function issueLoginChallenge(user) {
+  return jwt.sign({ id: user._id, purpose: "2fa" }, JWT_SECRET, { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS });
+}
+
+// user id from a challenge token, or null
+function readLoginChallenge(token) {
+  try {
+    const payload = jwt.verify(String(token || ""), JWT_SECRET);
+    return payload.purpose === "2fa" && mongoose.Types.ObjectId.isValid(payload.id) ? payload.id : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  LOGIN_CHALLENGE_TTL_SECONDS,
+  sessionRoom,
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticate,
+  issueLoginChallenge,
+  readLoginChallenge,
+};
@@ -0,0 +1,204 @@
+// utils/spamGuard.js
+// Per-user, per-event budgets for /chat socket events, duplicate-message
+// detection and the temporary mute that repeated violations escalate to.
+// Counters live in a store picked by CHAT_CLUSTER_MODE like presence (see
+// utils/cluster): in-process sliding windows for a single instance, fixed
+// windows in the SpamCounter collection when several instances share users.
+//
+// Budgets: SOCKET_RATE_LIMITS="send-message=20/10,typing=30/10" (events per seconds).
+// Any incoming /chat event can be named; server.js checks every event.
+const crypto = require("crypto");
+const SpamCounter = require("../models/SpamCounter");
+const { CLUSTER_MODE } = require("./cluster");
+
+const DEFAULT_RATE_LIMITS = {
+  "send-message": { limit: 20, windowMs: 10 * 1000 },
+  typing: { limit: 30, windowMs: 10 * 1000 },
+  "message-read": { limit: 60, windowMs: 10 * 1000 },
+  "mark-read": { limit: 60, windowMs: 10 * 1000 },
+  "poll-vote": { limit: 20, windowMs: 10 * 1000 },
+  "join-chat": { limit: 60, windowMs: 10 * 1000 },
+  sync: { limit: 10, windowMs: 60 * 1000 },
+};
+
+const DUPLICATE_WINDOW_MS = Number(process.env.SPAM_DUPLICATE_WINDOW_MS) || 30 * 1000;
+const DUPLICATE_LIMIT = Number(process.env.SPAM_DUPLICATE_LIMIT) || 3; // same text this often in the window is spam
+const VIOLATION_WINDOW_MS = 60 * 1000;
+const VIOLATIONS_BEFORE_MUTE = Number(process.env.SPAM_VIOLATIONS_BEFORE_MUTE) || 5;
+const MUTE_BASE_MS = Number(process.env.SPAM_MUTE_MS) || 60 * 1000;
+const MUTE_MAX_MS = 60 * 60 * 1000;
+const MUTE_MEMORY_MS = 24 * 60 * 60 * 1000; // repeat offenders within a day get longer mutes
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function parseRateLimits(raw) {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+  for (const entry of (raw || "").split(",")) {
+    const m = entry.trim().match(/^([\w-]+)=(\d+)\/(\d+)$/);
+    if (m) limits[m[1]] = { limit: Number(m[2]), windowMs: Number(m[3]) * 1000 };
+  }
+  return limits;
+}
+
+const RATE_LIMITS = parseRateLimits(process.env.SOCKET_RATE_LIMITS);
+
+// Every store has the same async contract:
+//   take(key, limit, windowMs, now) -> null when counted, else ms until the next one is allowed
+//   clear(key)
+//   getMute(userId)                 -> { until, count, lastAt } (ms) or null
+//   setMute(userId, mute)
+//   sweep(now)                      -> drop what no longer matters (no-op where a TTL does it)
+
+// single instance (and tests): sliding windows of timestamps
+function createMemorySpamStore() {
+  const hits = new Map(); // key -> { times, windowMs }
+  const mutes = new Map(); // userId -> { until, count, lastAt }
+
+  const prune = (entry, now) => {
+    while (entry.times.length && entry.times[0] <= now - entry.windowMs) entry.times.shift();
+    return entry.times;
+  };
+
+  return {
+    async take(key, limit, windowMs, now) {
+      const entry = hits.get(key) || { times: [], windowMs };
+      hits.set(key, entry);
+      const times = prune(entry, now);
+      if (times.length >= limit) return times[0] + windowMs - now;
+      times.push(now);
+      return null;
+    },
+    async clear(key) {
+      hits.delete(key);
+    },
+    async getMute(userId) {
+      return mutes.get(userId) || null;
+    },
+    async setMute(userId, mute) {
+      mutes.set(userId, mute);
+    },
+    async sweep(now) {
+      for (const [key, entry] of hits) if (!prune(entry, now).length) hits.delete(key);
+      for (const [uid, mute] of mutes) if (now - mute.lastAt > MUTE_MEMORY_MS) mutes.delete(uid);
+    },
+  };
+}
+
+// several instances: counters in the SpamCounter collection, expired by TTL
+function createMongoSpamStore({ model = SpamCounter } = {}) {
+  return {
+    async take(key, limit, windowMs, now) {
+      const windowStart = now - (now % windowMs);
+      const row = await model.findOneAndUpdate(
+        { key, windowStart },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + windowMs) } },
+        { upsert: true, new: true }
+      ).lean();
+      return row.count > limit ? windowStart + windowMs - now : null;
+    },
+    async clear(key) {
+      await model.deleteMany({ key });
+    },
+    async getMute(userId) {
+      const row = await model.findOne({ key: `mute:${userId}`, windowStart: 0 }).lean();
+      return row ? { until: row.until.getTime(), count: row.count, lastAt: row.lastAt.getTime() } : null;
+    },
+    async setMute(userId, { until, count, lastAt }) {
+      await model.updateOne(
+        { key: `mute:${userId}`, windowStart: 0 },
+        {
+          $set: { until: new Date(until), count, lastAt: new Date(lastAt), expiresAt: new Date(lastAt + MUTE_MEMORY_MS) },
+        },
+        { upsert: true }
+      );
+    },
+    async sweep() {},
+  };
+}
+
+const store = CLUSTER_MODE === "mongo" ? createMongoSpamStore() : createMemorySpamStore();
+
+async function mutedUntil(userId, now = Date.now()) {
+  const mute = await store.getMute(String(userId));
+  return mute && mute.until > now ? new Date(mute.until) : null;
+}
+
+// count a violation; resolves to the new mute end when this one tipped the user over
+async function recordViolation(userId, now = Date.now()) {
+  const uid = String(userId);
+  const key = `violations:${uid}`;
+  if ((await store.take(key, VIOLATIONS_BEFORE_MUTE - 1, VIOLATION_WINDOW_MS, now)) === null) return null;
+
+  await store.clear(key);
+  const prev = await store.getMute(uid);
+  const count = prev && now - prev.lastAt < MUTE_MEMORY_MS ? prev.count + 1 : 1;
+  const until = now + Math.min(MUTE_BASE_MS * 2 ** (count - 1), MUTE_MAX_MS);
+  await store.setMute(uid, { until, count, lastAt: now });
+  return new Date(until);
+}
+
+const normalize = (text) => (typeof text === "string" ? text : "").trim().toLowerCase().replace(/\s+/g, " ");
+const textHash = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+/**
+ * Checks (and counts) one socket event. Resolves to null when allowed,
+ * otherwise the structured error for the ack:
+ *   { error, code: "muted" | "rate_limited" | "duplicate", retryAfterMs, mutedUntil? }
+ * opts: { chatId, content } for send-message duplicate detection.
+ */
+async function checkSocketEvent(userId, event, opts = {}, now = Date.now()) {
+  const uid = String(userId);
+
+  const muteEnd = event === "send-message" || event === "typing" ? await mutedUntil(uid, now) : null;
+  if (muteEnd) {
+    return {
+      error: "You are temporarily muted for spamming",
+      code: "muted",
+      retryAfterMs: muteEnd.getTime() - now,
+      mutedUntil: muteEnd,
+    };
+  }
+
+  const budget = RATE_LIMITS[event];
+  if (budget) {
+    const retryAfterMs = await store.take(`event:${uid}:${event}`, budget.limit, budget.windowMs, now);
+    if (retryAfterMs !== null) {
+      return withEscalation(uid, { error: "Too many requests, slow down", code: "rate_limited", retryAfterMs }, now);
+    }
+  }
+
+  const text = normalize(opts.content);
+  if (event === "send-message" && text && opts.chatId) {
+    const key = `duplicate:${uid}:${opts.chatId}:${textHash(text)}`;
+    const retryAfterMs = await store.take(key, DUPLICATE_LIMIT - 1, DUPLICATE_WINDOW_MS, now);
+    if (retryAfterMs !== null) {
+      return withEscalation(uid, { error: "Duplicate message", code: "duplicate", retryAfterMs }, now);
+    }
+  }
+
+  return null;
+}
+
+async function withEscalation(uid, violation, now) {
+  const muteEnd = await recordViolation(uid, now);
+  return muteEnd ? { ...violation, mutedUntil: muteEnd } : violation;
+}
+
+// drop counters nobody needs any more so the in-process maps don't grow forever
+function startSpamGuardSweep() {
+  const timer = setInterval(() => {
+    store.sweep(Date.now()).catch((err) => console.error("Spam guard sweep error:", err));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RATE_LIMITS,
+  parseRateLimits,
+  createMemorySpamStore,
+  createMongoSpamStore,
+  checkSocketEvent,
+  recordViolation,
+  mutedUntil,
+  startSpamGuardSweep,
+};
@@ -0,0 +1,98 @@
+// utils/sync.js
+// Catch-up for reconnecting clients: everything in my rooms touched after a
+// sync token. Messages are walked by (updatedAt, _id), so new messages,
+// edits, soft deletes, reactions and thread counters all show up; clients
+// upsert by _id.
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const MembershipEvent = require("../models/MembershipEvent");
+const User = require("../models/User");
+const { toClientMessage } = require("./messageFormat");
+const { unreadCountsForUser } = require("./unread");
+const { populateHistory } = require("./history");
+const { hideBlockedSenders } = require("./blocks");
+
+const SYNC_PAGE_SIZE = 500;
+// a write in flight while we query can still land with an updatedAt just before
+// now, so a caught-up token stays this far behind (clients upsert, so repeats are harmless)
+const SYNC_OVERLAP_MS = 5 * 1000;
+
+// token = "<updatedAt ms>.<message id>"; a plain timestamp (ms or ISO) also works
+function encodeSyncToken(date, id) {
+  return id ? `${date.getTime()}.${id}` : String(date.getTime());
+}
+
+function parseSyncToken(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const str = String(raw);
+  const m = str.match(/^(\d+)(?:\.([0-9a-f]{24}))?$/i);
+  if (m) return { date: new Date(Number(m[1])), id: m[2] ? new mongoose.Types.ObjectId(m[2]) : null };
+  const date = new Date(str);
+  return isNaN(date) ? null : { date, id: null };
+}
+
+/**
+ * Resolves to:
+ * {
+ *   rooms: [room],            rooms created / renamed / re-membered / read since
+ *   removedRooms: [{ chatId, kind, at }],
+ *   messages: [message],      oldest change first, personalized for userId
+ *   unread: [{ chatId, unreadCount }],
+ *   next: token,              pass back as `since`; once caught up it overlaps the last few
+ *                             seconds, so the next call can repeat a change (upsert by _id)
+ *   hasMore: bool,            true -> call again right away with `next`
+ *   resetRequired: bool,      token older than we keep history for; reload everything
+ * }
+ */
+async function collectChanges(userId, since) {
+  const token = parseSyncToken(since);
+  if (!token) return { error: "Invalid since" };
+
+  const serverTime = new Date();
+  const settled = new Date(serverTime.getTime() - SYNC_OVERLAP_MS);
+  const retentionStart = new Date(serverTime.getTime() - MembershipEvent.TTL_DAYS * 24 * 60 * 60 * 1000);
+  if (token.date < retentionStart) return { resetRequired: true, next: encodeSyncToken(settled) };
+
+  const myRooms = await Room.find({ members: userId }).select("_id updatedAt");
+  const viewer = await User.findById(userId).select("blockedUsers");
+  const roomIds = myRooms.map((r) => r._id);
+
+  const after = token.id
+    ? { $or: [{ updatedAt: { $gt: token.date } }, { updatedAt: token.date, _id: { $gt: token.id } }] }
+    : { updatedAt: { $gt: token.date } };
+  const msgs = await populateHistory(
+    Message.find({ chat: { $in: roomIds }, ...hideBlockedSenders(viewer), ...after })
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_PAGE_SIZE + 1)
+  );
+
+  const hasMore = msgs.length > SYNC_PAGE_SIZE;
+  if (hasMore) msgs.pop();
+  const last = msgs[msgs.length - 1];
+  let next;
+  if (hasMore) next = encodeSyncToken(last.updatedAt, last._id);
+  else if (settled > token.date) next = encodeSyncToken(settled);
+  else next = encodeSyncToken(token.date, token.id); // synced moments ago: never move the token back
+
+  const changedRoomIds = myRooms.filter((r) => r.updatedAt > token.date).map((r) => r._id);
+  const [rooms, removed, unreadRows] = await Promise.all([
+    Room.find({ _id: { $in: changedRoomIds } }).populate("members", "name avatarUrl"),
+    MembershipEvent.find({ user: userId, at: { $gt: token.date } }).sort({ at: 1 }),
+    unreadCountsForUser(userId),
+  ]);
+
+  return {
+    rooms,
+    removedRooms: removed
+      .filter((e) => !roomIds.some((id) => id.equals(e.room))) // re-added since
+      .map((e) => ({ chatId: e.room, kind: e.kind, at: e.at })),
+    messages: msgs.map((m) => toClientMessage(m, userId)),
+    unread: unreadRows.map((r) => ({ chatId: r._id, unreadCount: r.unreadCount, muted: r.muted })),
+    next,
+    hasMore,
+    resetRequired: false,
+  };
+}
+
+module.exports = { collectChanges, parseSyncToken, encodeSyncToken };
@@ -0,0 +1,84 @@
+// utils/threads.js
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const { userRoom } = require("./realtime");
+const { blockersOf } = require("./blocks");
+const { toBroadcastMessage } = require("./messageFormat");
+
+/**
+ * Find the root a new reply should attach to. Replying inside a thread to one
+ * of its replies joins the same thread, so threads are never nested.
+ * Resolves to { root } or { error }.
+ */
+async function resolveThreadRoot(threadId, chatId) {
+  if (!mongoose.Types.ObjectId.isValid(threadId)) return { error: "Invalid thread ID" };
+  let root = await Message.findOne({ _id: threadId, chat: chatId }).select("threadRoot sender deletedAt");
+  if (root?.threadRoot) root = await Message.findById(root.threadRoot).select("sender deletedAt");
+  if (!root) return { error: "Thread not found" };
+  if (root.deletedAt) return { error: "Cannot reply to a deleted message" };
+  return { root };
+}
+
+// the room, plus participants who are still members (their other tabs / thread views);
+// for a new reply, members who blocked its sender get the counts without the reply
+async function emitThreadUpdated(nsp, root, reply = null) {
+  const room = await Room.findById(root.chat).select("members");
+  const members = (room?.members || []).map(String);
+  const memberSet = new Set(members);
+  const participants = root.threadParticipants.map(String).filter((id) => memberSet.has(id));
+  const targets = [root.chat.toString(), ...participants.map(userRoom)];
+  const payload = {
+    messageId: root._id,
+    chatId: root.chat,
+    replyCount: root.replyCount,
+    lastReplyAt: root.lastReplyAt,
+  };
+  if (!reply) return nsp.to(targets).emit("thread-updated", payload);
+
+  const blockers = (await blockersOf(reply.sender._id || reply.sender, members)).map(userRoom);
+  const withReply = { ...payload, lastReply: toBroadcastMessage(reply) };
+  if (!blockers.length) return nsp.to(targets).emit("thread-updated", withReply);
+  nsp.to(targets).except(blockers).emit("thread-updated", withReply);
+  nsp.to(blockers).emit("thread-updated", payload);
+}
+
+// bump the root's counters and tell the room and everyone in the thread
+async function recordThreadReply(nsp, root, reply) {
+  const senderId = reply.sender._id || reply.sender;
+  const updated = await Message.findByIdAndUpdate(
+    root._id,
+    {
+      $inc: { replyCount: 1 },
+      $set: { lastReplyAt: reply.createdAt },
+      $addToSet: { threadParticipants: { $each: [root.sender, senderId] } },
+    },
+    { new: true }
+  ).select("chat replyCount lastReplyAt threadParticipants");
+  if (!updated) return;
+
+  await emitThreadUpdated(nsp, updated, reply);
+}
+
+/**
+ * A thread reply was deleted (delta -1) or restored (+1): fix the root's
+ * replyCount and lastReplyAt and tell the same audience as a new reply.
+ */
+async function adjustThreadReplies(nsp, reply, delta) {
+  if (!reply.threadRoot) return;
+  const filter = { _id: reply.threadRoot };
+  if (delta < 0) filter.replyCount = { $gte: -delta };
+  const latest = await Message.findOne({ threadRoot: reply.threadRoot, deletedAt: null })
+    .sort({ createdAt: -1, _id: -1 })
+    .select("createdAt");
+  const update = { $inc: { replyCount: delta } };
+  if (latest) update.$set = { lastReplyAt: latest.createdAt };
+  else update.$unset = { lastReplyAt: "" };
+
+  const updated = await Message.findOneAndUpdate(filter, update, { new: true }).select(
+    "chat replyCount lastReplyAt threadParticipants"
+  );
+  if (updated) await emitThreadUpdated(nsp, updated);
+}
+
+module.exports = { resolveThreadRoot, recordThreadReply, adjustThreadReplies };
@@ -0,0 +1,80 @@
+// utils/timezone.js
+// Wall-clock arithmetic in an IANA time zone ("Europe/Berlin") with nothing
+// but Intl, for schedules that should keep their local time across DST.
+
+function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(tz);
+}
+
+// { year, month (0-11), day, hour, minute, second, ms } as a clock in tz shows `date`
+function wallTime(date, tz) {
+  const parts = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(date)) parts[type] = Number(value);
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    ms: date.getUTCMilliseconds(),
+  };
+}
+
+const asUtc = (w) => Date.UTC(w.year, w.month, w.day, w.hour, w.minute, w.second, w.ms);
+const offsetAt = (ms, tz) => asUtc(wallTime(new Date(ms), tz)) - ms;
+
+/**
+ * The instant a clock in tz shows wall time `w`. A time skipped by a DST
+ * jump lands just after it (02:30 on spring-forward day -> 03:30).
+ */
+function fromWallTime(w, tz) {
+  const guess = asUtc(w);
+  let ms = guess - offsetAt(guess, tz);
+  const offset = offsetAt(ms, tz);
+  if (guess - offset !== ms) ms = guess - offset;
+  return new Date(ms);
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// wall time `months` calendar months later, clamped to the last day (Jan 31 -> Feb 28)
+function addMonths(w, months) {
+  const total = w.year * 12 + w.month + months;
+  const year = Math.floor(total / 12);
+  const month = total - year * 12;
+  return { ...w, year, month, day: Math.min(w.day, daysInMonth(year, month)) };
+}
+
+function addDays(w, days) {
+  const d = new Date(Date.UTC(w.year, w.month, w.day + days));
+  return { ...w, year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate() };
+}
+
+module.exports = { isValidTimeZone, wallTime, fromWallTime, addMonths, addDays };
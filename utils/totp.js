@@ -0,0 +1,82 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps), the
+// flavour every authenticator app understands. Secrets are base32 strings.
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous / next code too (clock skew)
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(out);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, "0");
+}
+
+/**
+ * The time step `code` belongs to, or null. Steps at or before `lastUsedStep`
+ * are refused so a code can't be replayed while it is still on screen.
+ */
+function verifyTotp(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+  const step = currentStep(now);
+  for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+    if (s <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, s)), Buffer.from(clean))) return s;
+  }
+  return null;
+}
+
+// what authenticator apps scan (usually shown as a QR code by the client)
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, currentStep, codeForStep, verifyTotp, otpauthUri };
@@ -0,0 +1,56 @@
+// utils/twoFactor.js
+// Second factor for login and password reset: a TOTP code from the user's
+// authenticator app, or one of their one-time recovery codes.
+const crypto = require("crypto");
+const User = require("../models/User");
+const { verifyTotp } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Campus Buddy";
+
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// shown to the user once; only the hashes are stored
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(6).toString("hex");
+    return `${raw.slice(0, 6)}-${raw.slice(6)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a TOTP or recovery code for a user with 2FA on and burn it.
+ * Resolves to { method: "totp" } / { method: "recovery", recoveryCodesLeft } or { error }.
+ */
+async function verifySecondFactor(user, code) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !tf.secret) return { error: "Two-factor authentication is not enabled" };
+  if (!code) return { error: "Two-factor code required" };
+
+  const clean = String(code).replace(/\s/g, "");
+  if (/^\d{6}$/.test(clean)) {
+    const step = verifyTotp(tf.secret, clean, { lastUsedStep: tf.lastUsedStep ?? -1 });
+    if (step === null) return { error: "Invalid two-factor code" };
+    // conditional so two requests racing with the same code can't both win
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    if (result.modifiedCount === 0) return { error: "Invalid two-factor code" };
+    tf.lastUsedStep = step;
+    return { method: "totp" };
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, "twoFactor.recoveryCodes": hashRecoveryCode(clean) },
+    { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(clean) } },
+    { new: true }
+  ).select("twoFactor.recoveryCodes");
+  if (!updated) return { error: "Invalid two-factor code" };
+  tf.recoveryCodes = updated.twoFactor.recoveryCodes;
+  return { method: "recovery", recoveryCodesLeft: updated.twoFactor.recoveryCodes.length };
+}
+
+module.exports = { RECOVERY_CODE_COUNT, TOTP_ISSUER, newRecoveryCodes, verifySecondFactor };
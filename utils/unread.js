@@ -0,0 +1,196 @@
+// utils/unread.js
+// Read state is one cursor per (room, member) on Room.readCursors, ordered by
+// (createdAt, _id) like history pages (utils/pagination.cursorFilter).
+// Unread = timeline messages from others after my cursor. Message.readBy is
+// only the legacy fallback for members who have no cursor yet.
+const mongoose = require("mongoose");
+const Room = require("../models/Room");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { userRoom } = require("./realtime");
+const { mutedRoomIds } = require("./mutes");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id._id || id));
+
+const UNREAD_PUSH_DELAY_MS = 1000;
+const pendingPushes = new Map(); // `${userId}:${roomId}` -> timeout
+
+const cursorOf = (room, uid) => (room.readCursors || []).find((c) => c.user.equals(uid));
+
+// true when message { createdAt, _id } comes after cursor { lastReadAt, lastReadMessageId }
+function isAfterCursor(message, cursor) {
+  if (message.createdAt > cursor.lastReadAt) return true;
+  if (message.createdAt < cursor.lastReadAt) return false;
+  return !!cursor.lastReadMessageId && message._id.toString() > cursor.lastReadMessageId.toString();
+}
+
+/**
+ * Query clauses ($or) for messages the user hasn't read in the given rooms
+ * (loaded with readCursors): after their cursor, or not in readBy where
+ * they have none yet. Never empty ($or rejects []): no rooms matches nothing.
+ */
+function unreadClauses(rooms, userId) {
+  const uid = toObjectId(userId);
+  if (rooms.length === 0) return [{ _id: null }];
+  return rooms.map((room) => {
+    const cursor = cursorOf(room, uid);
+    if (!cursor) return { chat: room._id, readBy: { $ne: uid } };
+    const after = [{ createdAt: { $gt: cursor.lastReadAt } }];
+    if (cursor.lastReadMessageId) after.push({ createdAt: cursor.lastReadAt, _id: { $gt: cursor.lastReadMessageId } });
+    return { chat: room._id, $or: after };
+  });
+}
+
+/**
+ * Unread counts for every room of a user (or only roomIds) in one aggregation.
+ * Resolves to [{ _id, isGroup, members, unreadCount, muted }].
+ * Members without a cursor yet fall back to the legacy per-message readBy.
+ * Messages from blocked users never count; muted rooms always report 0.
+ */
+async function unreadCountsForUser(userId, roomIds) {
+  const uid = toObjectId(userId);
+  const viewer = await User.findById(uid).select("blockedUsers mutedRooms");
+  const blocked = viewer?.blockedUsers || [];
+  const muted = mutedRoomIds(viewer).map(toObjectId);
+  const match = { members: uid };
+  if (roomIds) match._id = { $in: roomIds.map(toObjectId) };
+
+  return Room.aggregate([
+    { $match: match },
+    {
+      $project: {
+        isGroup: 1,
+        members: 1,
+        cursor: {
+          $arrayElemAt: [
+            { $filter: { input: { $ifNull: ["$readCursors", []] }, cond: { $eq: ["$$this.user", uid] } } },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: Message.collection.name,
+        let: {
+          roomId: "$_id",
+          since: { $ifNull: ["$cursor.lastReadAt", null] },
+          sinceId: { $ifNull: ["$cursor.lastReadMessageId", null] },
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$chat", "$$roomId"] },
+                  { $ne: ["$sender", uid] },
+                  { $not: [{ $in: ["$sender", blocked] }] },
+                  { $ne: ["$inTimeline", false] },
+                  { $eq: [{ $ifNull: ["$deletedAt", null] }, null] },
+                  {
+                    $cond: [
+                      { $eq: ["$$since", null] },
+                      { $not: [{ $in: [uid, { $ifNull: ["$readBy", []] }] }] },
+                      {
+                        $or: [
+                          { $gt: ["$createdAt", "$$since"] },
+                          { $and: [{ $eq: ["$createdAt", "$$since"] }, { $gt: ["$_id", "$$sinceId"] }] },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $count: "n" },
+        ],
+        as: "unread",
+      },
+    },
+    {
+      $project: {
+        isGroup: 1,
+        members: 1,
+        muted: { $in: ["$_id", muted] },
+        unreadCount: {
+          $cond: [{ $in: ["$_id", muted] }, 0, { $ifNull: [{ $arrayElemAt: ["$unread.n", 0] }, 0] }],
+        },
+      },
+    },
+  ]);
+}
+
+// send room-unread for the given rooms (default: all) to every socket of the user
+async function pushUnreadCounts(nsp, userId, roomIds) {
+  const rows = await unreadCountsForUser(userId, roomIds);
+  for (const row of rows) {
+    nsp
+      .to(userRoom(userId.toString()))
+      .emit("room-unread", { chatId: row._id, unreadCount: row.unreadCount, muted: row.muted });
+  }
+  return rows;
+}
+
+// coalesce bursts of messages into one recount per (user, room)
+function scheduleUnreadPush(nsp, userId, roomId) {
+  const key = `${userId}:${roomId}`;
+  if (pendingPushes.has(key)) return;
+  const timer = setTimeout(() => {
+    pendingPushes.delete(key);
+    pushUnreadCounts(nsp, userId, [roomId]).catch((err) => console.error("room-unread push error:", err));
+  }, UNREAD_PUSH_DELAY_MS);
+  timer.unref?.();
+  pendingPushes.set(key, timer);
+}
+
+/**
+ * Move the user's read cursor in a room forward to messageId (default: latest
+ * message). Never moves backwards. Messages themselves are not touched:
+ * everything that asks "has X read this?" compares against the cursor.
+ * Resolves to { lastReadAt, lastReadMessageId, advanced } or { error }.
+ */
+async function markRoomRead(roomId, userId, messageId) {
+  const uid = toObjectId(userId);
+  const target = messageId
+    ? await Message.findOne({ _id: messageId, chat: roomId }).select("createdAt")
+    : await Message.findOne({ chat: roomId }).sort({ createdAt: -1, _id: -1 }).select("createdAt");
+  if (!target) return messageId ? { error: "Message not found" } : { advanced: false };
+
+  const room = await Room.findOne({ _id: roomId, members: uid }).select("readCursors");
+  if (!room) return { error: "You are not a member of this chat" };
+  const current = cursorOf(room, uid);
+  if (current && !isAfterCursor(target, current)) {
+    return { lastReadAt: current.lastReadAt, lastReadMessageId: current.lastReadMessageId, advanced: false };
+  }
+
+  const cursor = { user: uid, lastReadAt: target.createdAt, lastReadMessageId: target._id };
+  const behindTarget = {
+    user: uid,
+    $or: [
+      { lastReadAt: { $lt: target.createdAt } },
+      { lastReadAt: target.createdAt, lastReadMessageId: { $lt: target._id } },
+    ],
+  };
+  const res = current
+    ? await Room.updateOne(
+        { _id: roomId, readCursors: { $elemMatch: behindTarget } },
+        { $set: { "readCursors.$.lastReadAt": cursor.lastReadAt, "readCursors.$.lastReadMessageId": target._id } }
+      )
+    : await Room.updateOne({ _id: roomId, "readCursors.user": { $ne: uid } }, { $push: { readCursors: cursor } });
+  if (res.modifiedCount === 0) {
+    // someone else (another tab) moved it first
+    return { lastReadAt: cursor.lastReadAt, lastReadMessageId: target._id, advanced: false };
+  }
+
+  return { lastReadAt: cursor.lastReadAt, lastReadMessageId: target._id, advanced: true };
+}
+
+module.exports = {
+  isAfterCursor,
+  unreadClauses,
+  unreadCountsForUser,
+  pushUnreadCounts,
+  scheduleUnreadPush,
+  markRoomRead,
+};
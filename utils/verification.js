@@ -0,0 +1,112 @@
+// utils/verification.js
+// Registration checks and the email-verification token flow (same shape as
+// the reset token in routes/passwordReset: random hex token + expiry on User).
+//   ALLOWED_EMAIL_DOMAINS   optional comma-separated campus domains; subdomains match too
+const crypto = require("crypto");
+const transporter = require("./mailer");
+
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 60;
+
+const EMAIL_RE = /^[^\s@<>()[\],;:"]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || "")
+  .split(",")
+  .map((d) => d.trim().toLowerCase())
+  .filter(Boolean);
+
+const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "");
+
+function isAllowedDomain(email) {
+  if (ALLOWED_EMAIL_DOMAINS.length === 0) return true;
+  const domain = email.split("@").pop();
+  return ALLOWED_EMAIL_DOMAINS.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+function nameProblem(name) {
+  if (!name || name.length > MAX_NAME_LENGTH || /[<>]/.test(name)) {
+    return `Name must be 1-${MAX_NAME_LENGTH} characters without < or >`;
+  }
+  return null;
+}
+
+// at least MIN_PASSWORD_LENGTH characters with a letter and a digit
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[a-z]/i.test(password) || !/\d/.test(password)) return "Password must contain letters and numbers";
+  return null;
+}
+
+// { name, email, password } -> { name, email } (normalized) or { error }
+function validateRegistration({ name, email, password } = {}) {
+  const cleanName = typeof name === "string" ? name.trim() : "";
+  const badName = nameProblem(cleanName);
+  if (badName) return { error: badName };
+  const cleanEmail = normalizeEmail(email);
+  if (!EMAIL_RE.test(cleanEmail)) return { error: "Invalid email address" };
+  if (!isAllowedDomain(cleanEmail)) {
+    return { error: `Please register with your campus email (${ALLOWED_EMAIL_DOMAINS.join(", ")})` };
+  }
+  const weak = passwordProblem(password);
+  if (weak) return { error: weak };
+  return { name: cleanName, email: cleanEmail };
+}
+
+// put a fresh token on the user (caller saves) and mail the link
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  user.verifyToken = token;
+  user.verifyTokenExpiry = Date.now() + VERIFY_TOKEN_TTL_MS;
+  await user.save();
+
+  const verifyLink = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: "Verify your email",
+    html: `
+      <p>Hello ${user.name || "User"},</p>
+      <p>Please confirm your email address to finish setting up your account:</p>
+      <a href="${verifyLink}">${verifyLink}</a>
+      <p>This link will expire in 24 hours.</p>
+    `,
+  });
+}
+
+// someone signed up with an address that already has an account
+async function sendAlreadyRegisteredEmail(user) {
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: "You already have an account",
+    html: `
+      <p>Hello ${user.name || "User"},</p>
+      <p>Someone tried to create a new account with this email address, but you already have one.</p>
+      <p>If that was you, just sign in, or reset your password at ${process.env.FRONTEND_URL}/forgot-password.</p>
+      <p>If it wasn't you, you can ignore this email.</p>
+    `,
+  });
+}
+
+// a new link can be requested once the last one is RESEND_COOLDOWN_MS old
+function resendAvailableAt(user) {
+  if (!user.verifyTokenExpiry) return null;
+  const sentAt = user.verifyTokenExpiry.getTime() - VERIFY_TOKEN_TTL_MS;
+  const at = sentAt + RESEND_COOLDOWN_MS;
+  return at > Date.now() ? new Date(at) : null;
+}
+
+module.exports = {
+  ALLOWED_EMAIL_DOMAINS,
+  normalizeEmail,
+  nameProblem,
+  passwordProblem,
+  validateRegistration,
+  sendVerificationEmail,
+  sendAlreadyRegisteredEmail,
+  resendAvailableAt,
+};